@@ -4,9 +4,32 @@ import Timeline from './components/Timeline';
 import VolumeBar from './components/VolumeBar';
 import Toolbar from './components/Toolbar';
 import ExportProgress from './components/ExportProgress';
-import { VideoComposer } from './utils/VideoComposer';
+import ExportQueue from './components/ExportQueue';
+import ExportHistory from './components/ExportHistory';
+import ExportPreviewDialog from './components/ExportPreviewDialog';
+import { VideoComposer, EXPORT_FORMATS, DEFAULT_FORMAT_OPTIONS, ExportCancelledError } from './utils/VideoComposer';
 import TenorSearch from './components/TenorSearch';
 import ProjectManager from './utils/ProjectManager';
+import { checkExportedSize, getExportDuration } from './utils/ExportPresets';
+import { runExportPreflight } from './utils/ExportPreflight';
+import { DEFAULT_FRAME_BUDGET_MB } from './utils/FrameBudget';
+
+// Default editor/export settings - also used to fill in settings missing from older saved projects
+const DEFAULT_SETTINGS = {
+  canvasWidth: 1920,
+  canvasHeight: 1080,
+  exportFrameRate: 15,
+  exportFormat: 'webm', // Key of EXPORT_FORMATS in VideoComposer
+  exportAlpha: false, // Keep transparency where the format supports it (VP9 yuva420p, GIF index) - opt-in, or set by a preset
+  exportBackground: '#000000', // Background when transparency is off or unsupported (MP4)
+  formatOptions: DEFAULT_FORMAT_OPTIONS, // Per-format options (GIF dithering, loop, ...)
+  exportRange: null, // { start, end } in/out points set on the Timeline ruler; null = whole timeline
+  exportPreset: null, // Key of EXPORT_PRESETS the export is checked against
+  frameExportFormat: 'png', // Still frame format: 'png' | 'webp'
+  frameCacheBudgetMB: DEFAULT_FRAME_BUDGET_MB // PNG bytes of cached frames of all items; least recently used ones are re-decoded when needed
+};
+
+const ESTIMATE_DELAY_MS = 1500; // Quiet time after an edit before the export estimate is measured again
 
 function App() {
   const [mediaItems, setMediaItems] = useState([]);
@@ -14,23 +37,31 @@ function App() {
   const [currentTime, setCurrentTime] = useState(0);
   const [duration, setDuration] = useState(30); // Default 30 seconds
   const [exportProgress, setExportProgress] = useState(null);
+  const [preflightReport, setPreflightReport] = useState(null); // { issues, onContinue, continueLabel } awaiting confirmation
+  const [exportPreview, setExportPreview] = useState(null); // Finished export waiting for download/discard
   const [selectedItem, setSelectedItem] = useState(null);
   const [isDragOver, setIsDragOver] = useState(false);
   const [sourceMedia, setSourceMedia] = useState([]);
   const [isExporting, setIsExporting] = useState(false); // Track export state for UI cleanup
+  const [isCanvasLocked, setIsCanvasLocked] = useState(false); // Realtime capture needs the preview canvas to itself
+  const [exportQueue, setExportQueue] = useState([]); // Queued/finished export jobs, each with its own output settings
+  const [isQueueRunning, setIsQueueRunning] = useState(false);
+  const nextQueueJobId = useRef(1);
+  const [exportEstimate, setExportEstimate] = useState(null); // { sizeBytes, renderSeconds, ... } for the Toolbar
+  const [estimateStatus, setEstimateStatus] = useState(null); // 'running' | 'error' while/after measuring
+  const [estimateVersion, setEstimateVersion] = useState(0); // Bumped when a new estimate benchmark finishes
+  const estimateRequestId = useRef(0);
   const [timelineAudioElements, setTimelineAudioElements] = useState(new Map()); // Track timeline audio elements for VolumeBar
+  const [frameCacheUsage, setFrameCacheUsage] = useState(null); // { usedBytes, budgetBytes, frameCount } for the Toolbar
   
   // Settings state
-  const [settings, setSettings] = useState({
-    canvasWidth: 1920,
-    canvasHeight: 1080,
-    exportFrameRate: 15
-  });
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
   
   // Project management state
   const [currentProjectName, setCurrentProjectName] = useState(null);
   const [showProjectDialog, setShowProjectDialog] = useState(false);
   const [projectAction, setProjectAction] = useState(null); // 'save' or 'load'
+  const [showExportHistory, setShowExportHistory] = useState(false);
   const [notification, setNotification] = useState(null);
   
   const fileInputRef = useRef();
@@ -57,6 +88,29 @@ function App() {
     }
   }, [mediaItems, calculateDuration, duration]);
 
+  // Apply the frame memory budget
+  useEffect(() => {
+    videoComposer.current.mediaProcessor.frameBudget.setBudget((settings.frameCacheBudgetMB || DEFAULT_FRAME_BUDGET_MB) * 1024 * 1024);
+  }, [settings.frameCacheBudgetMB]);
+
+  // Track frame memory for the Toolbar - at most twice a second, since an import loads many chunks at once
+  useEffect(() => {
+    const frameBudget = videoComposer.current.mediaProcessor.frameBudget;
+    let updateTimer = null;
+    setFrameCacheUsage(frameBudget.getUsage());
+    const unsubscribe = frameBudget.onChange(() => {
+      if (updateTimer) return;
+      updateTimer = setTimeout(() => {
+        updateTimer = null;
+        setFrameCacheUsage(frameBudget.getUsage());
+      }, 500);
+    });
+    return () => {
+      unsubscribe();
+      clearTimeout(updateTimer);
+    };
+  }, []);
+
   // Update timeline audio elements for VolumeBar
   useEffect(() => {
     const updateAudioElements = () => {
@@ -158,18 +212,26 @@ function App() {
       // Determine media type
       if (fileType.startsWith('video/')) {
         mediaType = 'video';
-        duration = await getVideoDuration(file);
       } else if (fileType.startsWith('image/')) {
         mediaType = 'image';
         if (fileType === 'image/gif') {
           subtype = 'gif';
-          duration = await getGifDuration(file);
-        } else {
-          duration = 5; // Default for static images
         }
       } else if (fileType.startsWith('audio/')) {
         mediaType = 'audio';
-        duration = await getAudioDuration(file);
+      }
+
+      // Real duration, frame rate, size and streams from FFmpeg (null if it can't read the file)
+      const mediaInfo = mediaType !== 'unknown' ? await probeMedia(file) : null;
+
+      if (mediaType === 'video') {
+        duration = mediaInfo?.duration || await getVideoDuration(file);
+      } else if (subtype === 'gif') {
+        duration = mediaInfo?.duration || 3; // Browsers don't expose GIF timing
+      } else if (mediaType === 'image') {
+        duration = 5; // Default for static images
+      } else if (mediaType === 'audio') {
+        duration = mediaInfo?.duration || await getAudioDuration(file);
       }
       
       const itemId = Date.now() + Math.random();
@@ -182,7 +244,8 @@ function App() {
         duration: duration,
         url: URL.createObjectURL(file),
         hasFile: true,
-        file: file // Keep File object for direct access
+        file: file, // Keep File object for direct access
+        mediaInfo: mediaInfo
       };
       
       // Store the File object in the map for drag-and-drop restoration
@@ -196,8 +259,8 @@ function App() {
         try {
           // console.log('🎬 Checking MP4 for audio track:', file.name);
           
-          // Use a more reliable audio detection method
-          const hasAudio = await new Promise((resolve) => {
+          // Trust the probed stream list; the element check below only runs if probing failed
+          const hasAudio = mediaInfo ? !!mediaInfo.audio : await new Promise((resolve) => {
             const video = document.createElement('video');
             video.crossOrigin = 'anonymous';
             video.muted = true;
@@ -266,7 +329,7 @@ function App() {
           
           // Always create audio track for MP4s for now (user can delete if not needed)
           // This is safer than missing audio tracks
-          const shouldCreateAudioTrack = true; // Override detection for reliability
+          const shouldCreateAudioTrack = mediaInfo ? hasAudio : true; // Override unprobed detection for reliability
           
           if (shouldCreateAudioTrack) {
             // console.log('✅ Creating audio track for MP4:', file.name, '(Audio detected:', hasAudio, ')');
@@ -553,58 +616,121 @@ function App() {
     );
   }, []);
 
-  const handleExport = useCallback(async () => {
+  // Keep a copy of every finished export in the history gallery
+  const recordExport = useCallback(async (result, { format, mediaItems: exportedItems, width, height, fps, alpha, backgroundColor, formatOptions, range }) => {
+    const saved = await projectManager.current.saveExport({
+      blob: result.blob,
+      extension: result.extension,
+      format,
+      codec: result.codec,
+      duration: getExportDuration(exportedItems, range),
+      settings: { width, height, fps, alpha, backgroundColor, formatOptions, range },
+      projectName: currentProjectName
+    });
+    if (!saved.success) {
+      // Usually the storage quota - the export itself is still available
+      console.warn('Export not added to history:', saved.error);
+      return null;
+    }
+    return saved.exportId;
+  }, [currentProjectName]);
+
+  // Record the export and show it in the preview dialog instead of downloading straight away
+  const showExportPreview = useCallback(async (result, options, fileName) => {
+    const historyId = await recordExport(result, options);
+    setExportPreview({
+      result,
+      historyId,
+      fileName,
+      width: options.width,
+      height: options.height,
+      fps: options.fps,
+      duration: getExportDuration(options.mediaItems, options.range),
+      isAudioOnly: !!EXPORT_FORMATS[options.format]?.isAudioOnly
+    });
+  }, [recordExport]);
+
+  const runExport = useCallback(async () => {
+    setPreflightReport(null);
+    // Checked again here: a queue job can start while the preflight report is open, and two
+    // exports on one composer would share its cancel flag and FFmpeg files
+    if (videoComposer.current.isExporting) {
+      showNotification('Another export is running - wait for it to finish', 'warning');
+      return;
+    }
     try {
-      // Stop playback and enable export mode
-      setIsPlaying(false);
+      // Frames are rendered offline (in a worker where available), so the editor stays usable
       setIsExporting(true);
-      setSelectedItem(null); // Clear selection to remove any active handles
       // console.log('Export mode enabled, waiting for canvas update...');
-      setExportProgress({ progress: 0, status: 'Initializing...' });
-      
-      // Create timeline seek callback for canvas capture
-      const onTimelineSeek = async (time) => {
-        setCurrentTime(time);
-        // Return a promise that resolves when the canvas has updated
-        return new Promise(resolve => {
-          // Single requestAnimationFrame should be sufficient
-          requestAnimationFrame(() => {
-            resolve();
-          });
-        });
-      };
+      setExportProgress({ progress: 0, status: 'Initializing...', warnings: [] });
+      const exportWarnings = [];
       
-      // Give canvas time to update with export mode before starting capture
-      await new Promise(resolve => setTimeout(resolve, 500));
-      
-      // Try the main export with canvas capture approach
+      // Main export renders every frame offline - no timeline seeking needed
       const result = await videoComposer.current.exportVideo({
         mediaItems,
         duration,
         width: settings.canvasWidth, // Use settings canvas width
         height: settings.canvasHeight, // Use settings canvas height
         fps: settings.exportFrameRate, // Use custom frame rate
+        format: settings.exportFormat,
+        alpha: settings.exportAlpha, // True VP9 alpha channel
+        backgroundColor: settings.exportBackground,
+        formatOptions: settings.formatOptions?.[settings.exportFormat],
+        range: settings.exportRange,
+        trackAssignments: timelineRef.current?.getTrackAssignments(),
         onProgress: (progress, status) => {
-          setExportProgress({ progress, status });
+          setExportProgress(prev => ({ ...prev, progress, status }));
         },
-        onTimelineSeek
+        onWarning: (message) => {
+          exportWarnings.push(message);
+          setExportProgress(prev => ({ ...prev, warnings: [...exportWarnings] }));
+        }
       });
 
-      // Create download link
-      const link = document.createElement('a');
-      link.href = result.url;
-      link.download = 'composition.webm';
-      link.click();
+      // GIF/APNG sizes can only be checked against the profile once encoded
+      const sizeViolation = checkExportedSize(settings.exportPreset, result.blob.size);
+      if (sizeViolation) {
+        exportWarnings.push(sizeViolation);
+        setExportProgress(prev => ({ ...prev, warnings: [...exportWarnings] }));
+      }
+
+      showExportPreview(result, {
+        format: settings.exportFormat,
+        mediaItems,
+        width: settings.canvasWidth,
+        height: settings.canvasHeight,
+        fps: settings.exportFrameRate,
+        alpha: settings.exportAlpha,
+        backgroundColor: settings.exportBackground,
+        formatOptions: settings.formatOptions?.[settings.exportFormat],
+        range: settings.exportRange
+      }, `composition.${result.extension}`);
       
-      setExportProgress(null);
       setIsExporting(false); // Turn off export mode
+      if (exportWarnings.length > 0 || result.sizeReport) {
+        // Leave the warnings / final size report on screen long enough to be read
+        setTimeout(() => setExportProgress(null), 4000);
+      } else {
+        setExportProgress(null);
+      }
     } catch (error) {
+      if (error instanceof ExportCancelledError) {
+        // Nothing to download - go straight back to editing
+        setExportProgress(null);
+        setIsExporting(false);
+        return;
+      }
       console.error('Export failed:', error);
       
       // If main export fails due to memory issues, try fallback
       if (error.message.includes('memory') || error.message.includes('Memory')) {
         try {
           setExportProgress({ progress: 0, status: 'Trying MediaRecorder fallback...' });
+
+          // The fallback records the on-screen canvas - stop playback and lock editing
+          setIsPlaying(false);
+          setSelectedItem(null); // Clear selection to remove any active handles
+          setIsCanvasLocked(true);
           
           // Create timeline seek callback for fallback too
           const onTimelineSeek = async (time) => {
@@ -625,24 +751,37 @@ function App() {
             width: settings.canvasWidth, // Use settings canvas width
             height: settings.canvasHeight, // Use settings canvas height
             fps: settings.exportFrameRate, // Use custom frame rate
+            range: settings.exportRange,
+            formatOptions: settings.formatOptions?.webm,
             onProgress: (progress, status) => {
               setExportProgress({ progress, status: `Fallback: ${status}` });
             },
             onTimelineSeek
           });
 
-          // Create download link
-          const link = document.createElement('a');
-          link.href = result.url;
-          link.download = 'composition_fallback.webm';
-          link.click();
+          showExportPreview(result, {
+            format: 'webm',
+            mediaItems,
+            width: settings.canvasWidth,
+            height: settings.canvasHeight,
+            fps: settings.exportFrameRate,
+            alpha: false,
+            range: settings.exportRange
+          }, 'composition_fallback.webm');
           
           setExportProgress({ progress: 100, status: 'Export completed using MediaRecorder (no alpha channel)' });
+          setIsCanvasLocked(false);
           setTimeout(() => {
             setExportProgress(null);
             setIsExporting(false);
           }, 3000);
         } catch (fallbackError) {
+          setIsCanvasLocked(false);
+          if (fallbackError instanceof ExportCancelledError) {
+            setExportProgress(null);
+            setIsExporting(false);
+            return;
+          }
           console.error('Fallback export also failed:', fallbackError);
           setExportProgress({ progress: 0, status: 'Export failed: Video too complex for browser memory. Try shorter clips or fewer items.' });
           setTimeout(() => {
@@ -658,8 +797,281 @@ function App() {
         }, 5000);
       }
     }
+  }, [mediaItems, duration, settings, showExportPreview, showNotification]);
+
+  // Check for missing files, invisible items and profile violations before an export starts.
+  // Returns true when there is nothing to report and the export can go ahead right away.
+  const checkPreflight = useCallback((onContinue, continueLabel) => {
+    const issues = runExportPreflight({
+      mediaItems,
+      sourceMedia,
+      settings,
+      getSourceFile: (item) => restoreFileForItem(item).file
+    });
+    if (issues.length === 0) return true;
+
+    setPreflightReport({ issues, onContinue, continueLabel });
+    return false;
+  }, [mediaItems, sourceMedia, settings, restoreFileForItem]);
+
+  const handleExport = useCallback(() => {
+    if (videoComposer.current.isExporting) return;
+    if (checkPreflight(runExport, 'Export anyway')) {
+      runExport();
+    }
+  }, [checkPreflight, runExport]);
+
+  // Jump to the item an issue refers to so it can be fixed
+  const handleShowPreflightItem = useCallback((itemId) => {
+    const item = mediaItems.find(mediaItem => mediaItem.id === itemId);
+    if (!item) return;
+    setPreflightReport(null);
+    setIsPlaying(false);
+    setCurrentTime(Math.max(0, item.startTime || 0));
+    setSelectedItem(item);
+  }, [mediaItems]);
+
+  const closeExportPreview = useCallback(() => {
+    const url = exportPreview?.result.url;
+    setExportPreview(null);
+    // Give a just-started download time to read the blob
+    if (url) setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }, [exportPreview]);
+
+  const handleDownloadPreview = useCallback(() => {
+    const link = document.createElement('a');
+    link.href = exportPreview.result.url;
+    link.download = exportPreview.fileName;
+    link.click();
+    closeExportPreview();
+  }, [exportPreview, closeExportPreview]);
+
+  // Throw the render away entirely - it is removed from the history too
+  const handleDiscardPreview = useCallback(() => {
+    if (exportPreview?.historyId) {
+      projectManager.current.deleteExport(exportPreview.historyId);
+    }
+    closeExportPreview();
+  }, [exportPreview, closeExportPreview]);
+
+  const handleReExportPreview = useCallback(() => {
+    handleDiscardPreview();
+    handleExport();
+  }, [handleDiscardPreview, handleExport]);
+
+  // Export the composition at the playhead as a still image
+  const handleExportFrame = useCallback(async () => {
+    if (mediaItems.length === 0) {
+      showNotification('Nothing to export - add media first', 'warning');
+      return;
+    }
+    if (videoComposer.current.isExporting) {
+      showNotification('Another export is running - wait for it to finish', 'warning');
+      return;
+    }
+
+    try {
+      setIsPlaying(false);
+      const result = await videoComposer.current.exportFrame({
+        mediaItems,
+        time: currentTime,
+        width: settings.canvasWidth,
+        height: settings.canvasHeight,
+        format: settings.frameExportFormat
+      });
+
+      const link = document.createElement('a');
+      link.href = result.url;
+      link.download = `frame_${currentTime.toFixed(2).replace('.', '_')}s.${result.extension}`;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(result.url), 1000);
+    } catch (error) {
+      console.error('Frame export failed:', error);
+      showNotification('Frame export failed: ' + error.message, 'error');
+    }
+  }, [mediaItems, currentTime, settings, showNotification]);
+
+  const handleCancelExport = useCallback(() => {
+    setExportProgress(prev => prev && { ...prev, status: 'Cancelling...', isCancelling: true });
+    videoComposer.current.cancelExport();
+  }, []);
+
+  const updateQueueJob = useCallback((jobId, changes) => {
+    setExportQueue(prev => prev.map(job => job.id === jobId ? { ...job, ...changes } : job));
+  }, []);
+
+  // Snapshot the composition and current export settings as a new queue job
+  const addQueueJob = useCallback(() => {
+    setPreflightReport(null);
+    const job = {
+      id: nextQueueJobId.current++,
+      status: 'queued',
+      format: settings.exportFormat,
+      width: settings.canvasWidth,
+      height: settings.canvasHeight,
+      fps: settings.exportFrameRate,
+      alpha: settings.exportAlpha,
+      backgroundColor: settings.exportBackground,
+      formatOptions: settings.formatOptions,
+      range: settings.exportRange,
+      // The job renders the composition as it was when queued, not later edits
+      mediaItems,
+      duration,
+      compositionWidth: settings.canvasWidth,
+      compositionHeight: settings.canvasHeight,
+      trackAssignments: timelineRef.current?.getTrackAssignments(),
+      progress: 0,
+      warnings: []
+    };
+    setExportQueue(prev => [...prev, job]);
   }, [mediaItems, duration, settings]);
 
+  const handleAddToQueue = useCallback(() => {
+    if (mediaItems.length === 0) {
+      showNotification('Nothing to export - add media first', 'warning');
+      return;
+    }
+    if (checkPreflight(addQueueJob, 'Queue anyway')) {
+      addQueueJob();
+    }
+  }, [mediaItems, showNotification, checkPreflight, addQueueJob]);
+
+  const runQueueJob = useCallback(async (job) => {
+    const warnings = [];
+    updateQueueJob(job.id, { status: 'running', progress: 0, statusText: 'Initializing...' });
+
+    try {
+      const result = await videoComposer.current.exportVideo({
+        mediaItems: job.mediaItems,
+        duration: job.duration,
+        width: job.width,
+        height: job.height,
+        compositionWidth: job.compositionWidth,
+        compositionHeight: job.compositionHeight,
+        fps: job.fps,
+        format: job.format,
+        alpha: job.alpha,
+        backgroundColor: job.backgroundColor,
+        formatOptions: job.formatOptions?.[job.format],
+        range: job.range,
+        trackAssignments: job.trackAssignments,
+        onProgress: (progress, statusText) => {
+          updateQueueJob(job.id, { progress, statusText });
+        },
+        onWarning: (message) => {
+          warnings.push(message);
+          updateQueueJob(job.id, { warnings: [...warnings] });
+        }
+      });
+      updateQueueJob(job.id, { status: 'done', progress: 100, result });
+      recordExport(result, { ...job, formatOptions: job.formatOptions?.[job.format] });
+    } catch (error) {
+      if (error instanceof ExportCancelledError) {
+        updateQueueJob(job.id, { status: 'cancelled', isCancelling: false });
+      } else {
+        console.error('Queued export failed:', error);
+        updateQueueJob(job.id, { status: 'failed', error: error.message });
+      }
+    }
+  }, [updateQueueJob, recordExport]);
+
+  // Start the next queued job whenever the exporter is free
+  useEffect(() => {
+    if (!isQueueRunning || isExporting || exportQueue.some(job => job.status === 'running')) return;
+
+    const nextJob = exportQueue.find(job => job.status === 'queued');
+    if (!nextJob) {
+      setIsQueueRunning(false);
+      return;
+    }
+    runQueueJob(nextJob);
+  }, [exportQueue, isQueueRunning, isExporting, runQueueJob]);
+
+  const isQueueJobRunning = exportQueue.some(job => job.status === 'running');
+
+  // Export size/time estimate. Measuring renders and encodes a sample, so it runs once the
+  // composition and export settings have stopped changing for a moment (or when the Toolbar's
+  // estimate is clicked); a change in the meantime cancels it. Measurements are cached, so
+  // going back to earlier settings shows their estimate right away.
+  const getEstimateOptions = () => ({
+    mediaItems,
+    width: settings.canvasWidth,
+    height: settings.canvasHeight,
+    fps: settings.exportFrameRate,
+    format: settings.exportFormat,
+    alpha: settings.exportAlpha,
+    backgroundColor: settings.exportBackground,
+    formatOptions: settings.formatOptions?.[settings.exportFormat],
+    range: settings.exportRange,
+    trackAssignments: timelineRef.current?.getTrackAssignments()
+  });
+
+  const handleEstimate = async () => {
+    if (mediaItems.length === 0 || isExporting || isQueueJobRunning) return;
+
+    const requestId = ++estimateRequestId.current;
+    setEstimateStatus('running');
+    try {
+      const estimate = await videoComposer.current.estimateExport(getEstimateOptions());
+      if (requestId !== estimateRequestId.current) return; // Superseded by newer settings
+      setEstimateStatus(null);
+      if (estimate) setEstimateVersion(version => version + 1); // Picks up the new measurement
+    } catch (error) {
+      if (requestId !== estimateRequestId.current) return;
+      console.warn('Export estimate failed:', error);
+      setEstimateStatus('error');
+    }
+  };
+
+  useEffect(() => {
+    if (mediaItems.length === 0) {
+      setExportEstimate(null);
+      return;
+    }
+    const estimate = videoComposer.current.getCachedEstimate(getEstimateOptions());
+    setExportEstimate(estimate);
+    if (estimate || isExporting || isQueueJobRunning) return;
+
+    const timer = setTimeout(handleEstimate, ESTIMATE_DELAY_MS);
+    return () => {
+      clearTimeout(timer);
+      estimateRequestId.current++;
+      setEstimateStatus(null);
+      videoComposer.current.cancelEstimate();
+    };
+  }, [mediaItems, settings, estimateVersion, isExporting, isQueueJobRunning]);
+
+  const handleCancelQueueJob = useCallback((jobId) => {
+    updateQueueJob(jobId, { isCancelling: true, statusText: 'Cancelling...' });
+    videoComposer.current.cancelExport();
+  }, [updateQueueJob]);
+
+  const handleRemoveQueueJob = useCallback((jobId) => {
+    setExportQueue(prev => prev.filter(job => {
+      if (job.id !== jobId) return true;
+      if (job.result) URL.revokeObjectURL(job.result.url);
+      return false;
+    }));
+  }, []);
+
+  const handleClearFinishedJobs = useCallback(() => {
+    setExportQueue(prev => prev.filter(job => {
+      if (job.status === 'queued' || job.status === 'running') return true;
+      if (job.result) URL.revokeObjectURL(job.result.url);
+      return false;
+    }));
+  }, []);
+
+  const handleDownloadQueueJob = useCallback((job) => {
+    const format = EXPORT_FORMATS[job.format];
+    const link = document.createElement('a');
+    link.href = job.result.url;
+    link.download = format?.isAudioOnly
+      ? `composition_${job.id}.${job.result.extension}`
+      : `composition_${job.width}x${job.height}_${job.fps}fps.${job.result.extension}`;
+    link.click();
+  }, []);
+
   const handleClear = useCallback(() => {
     // Clean up blob URLs before clearing
     sourceMedia.forEach(item => {
@@ -790,7 +1202,11 @@ function App() {
       setSourceMedia(sourceMediaWithFiles);
       setCurrentTime(project.currentTime || 0);
       setDuration(project.duration || 30);
-      setSettings(project.settings || settings);
+      setSettings(project.settings ? {
+        ...DEFAULT_SETTINGS,
+        ...project.settings,
+        formatOptions: { ...DEFAULT_SETTINGS.formatOptions, ...project.settings.formatOptions }
+      } : settings);
       setSelectedItem(project.selectedItem || null);
       setCurrentProjectName(project.name);
       
@@ -888,10 +1304,14 @@ function App() {
     });
   }, []);
 
-  // Get GIF duration (approximate)
-  const getGifDuration = useCallback((file) => {
-    // For now, return a default duration - could be enhanced with GIF parsing
-    return Promise.resolve(3); // Default 3 seconds for GIFs
+  // Probe a file with FFmpeg; null when it can't be read so callers fall back to browser metadata
+  const probeMedia = useCallback(async (file) => {
+    try {
+      return await videoComposer.current.mediaProcessor.probeFile(file);
+    } catch (error) {
+      console.warn('⚠️ Could not probe media:', file.name, error);
+      return null;
+    }
   }, []);
 
   // Get audio duration
@@ -1079,8 +1499,15 @@ function App() {
         onPlayPause={handlePlayPause}
         onAddMedia={handleAddMedia}
         onExport={handleExport}
+        onExportFrame={handleExportFrame}
+        onAddToQueue={handleAddToQueue}
         onClear={handleClear}
         exportProgress={exportProgress}
+        isQueueBusy={isQueueJobRunning}
+        exportEstimate={exportEstimate}
+        estimateStatus={estimateStatus}
+        onEstimate={mediaItems.length > 0 ? handleEstimate : null}
+        frameCacheUsage={frameCacheUsage}
         settings={settings}
         onSettingsChange={setSettings}
         // Project management props
@@ -1092,6 +1519,7 @@ function App() {
           setProjectAction('load');
           setShowProjectDialog(true);
         }}
+        onShowExportHistory={() => setShowExportHistory(true)}
         // Undo/redo props
         onUndo={handleUndo}
         onRedo={handleRedo}
@@ -1287,9 +1715,10 @@ function App() {
             onItemUpdate={handleItemUpdate}
             canvasWidth={settings.canvasWidth}
             canvasHeight={settings.canvasHeight}
-            exportMode={isExporting}
+            exportMode={isCanvasLocked}
             onItemsUpdate={handleTimelineUpdate}
             restoreFileForItem={restoreFileForItem}
+            mediaProcessor={videoComposer.current.mediaProcessor}
           />
           
           {/* Timeline and Volume Bar Container */}
@@ -1307,7 +1736,9 @@ function App() {
                 onDurationChange={setDuration}
                 playbackFrameRate={settings.exportFrameRate}
                 restoreFileForItem={restoreFileForItem}
-                exportMode={isExporting}
+                exportMode={isCanvasLocked}
+                exportRange={settings.exportRange}
+                onExportRangeChange={(exportRange) => setSettings(prev => ({ ...prev, exportRange }))}
               />
             </div>
             
@@ -1363,7 +1794,55 @@ function App() {
       )}
 
       {exportProgress && (
-        <ExportProgress progress={exportProgress.progress} status={exportProgress.status} />
+        <ExportProgress
+          progress={exportProgress.progress}
+          status={exportProgress.status}
+          warnings={exportProgress.warnings}
+          isCancelling={exportProgress.isCancelling}
+          onCancel={isExporting ? handleCancelExport : undefined}
+        />
+      )}
+
+      {exportQueue.length > 0 && (
+        <ExportQueue
+          jobs={exportQueue}
+          isRunning={isQueueRunning}
+          onStart={() => setIsQueueRunning(true)}
+          onPause={() => setIsQueueRunning(false)}
+          onUpdateJob={updateQueueJob}
+          onRemoveJob={handleRemoveQueueJob}
+          onCancelJob={handleCancelQueueJob}
+          onDownloadJob={handleDownloadQueueJob}
+          onClearFinished={handleClearFinishedJobs}
+        />
+      )}
+
+      {/* Pre-flight report - shown before the export starts */}
+      {preflightReport && (
+        <PreflightReportDialog
+          issues={preflightReport.issues}
+          continueLabel={preflightReport.continueLabel}
+          onContinue={preflightReport.onContinue}
+          onShowItem={handleShowPreflightItem}
+          onCancel={() => setPreflightReport(null)}
+        />
+      )}
+
+      {exportPreview && (
+        <ExportPreviewDialog
+          preview={exportPreview}
+          onDownload={handleDownloadPreview}
+          onReExport={handleReExportPreview}
+          onDiscard={handleDiscardPreview}
+          canReExport={!isExporting && !isQueueJobRunning}
+        />
+      )}
+
+      {showExportHistory && (
+        <ExportHistory
+          projectManager={projectManager.current}
+          onClose={() => setShowExportHistory(false)}
+        />
       )}
 
       {/* Project Save/Load Dialog */}
@@ -1404,6 +1883,46 @@ function App() {
   );
 }
 
+// Pre-flight report: errors block the export, warnings can be exported anyway
+const PreflightReportDialog = ({ issues, continueLabel, onContinue, onShowItem, onCancel }) => {
+  const errorCount = issues.filter(issue => issue.severity === 'error').length;
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal-content preflight-report">
+        <h3>Export check</h3>
+        <p>
+          {errorCount > 0
+            ? `${errorCount} problem${errorCount === 1 ? '' : 's'} must be fixed before exporting:`
+            : 'The export can run, but check these first:'}
+        </p>
+        <ul className="preflight-issues">
+          {issues.map((issue, index) => (
+            <li key={index} className={issue.severity}>
+              {issue.severity === 'error' ? '⛔' : '⚠️'} {issue.message}
+              {issue.itemId != null && (
+                <button className="preflight-item-link" onClick={() => onShowItem(issue.itemId)}>
+                  Show
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+        <div className="modal-buttons">
+          <button onClick={onCancel} className="modal-button cancel">
+            Fix first
+          </button>
+          {errorCount === 0 && (
+            <button onClick={onContinue} className="modal-button confirm">
+              {continueLabel}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
 // Project Dialog Component
 const ProjectDialog = ({ action, currentProjectName, onSave, onLoad, onCancel, projectManager }) => {
   const [projectName, setProjectName] = useState(currentProjectName || '');
@@ -0,0 +1,161 @@
+import React, { useState, useEffect } from 'react';
+import { EXPORT_FORMATS } from '../utils/VideoComposer';
+import { ExportMediaPreview } from './ExportPreviewDialog';
+
+const formatSize = (bytes) => {
+  if (bytes >= 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+  return `${Math.round(bytes / 1024)} KB`;
+};
+
+const getExportFileName = (entry) => {
+  const date = new Date(entry.createdAt).toISOString().slice(0, 19).replace(/[T:]/g, '-');
+  return `${entry.projectName ? entry.projectName.replace(/[^\w-]+/g, '_') : 'composition'}_${date}.${entry.extension}`;
+};
+
+// Object URL for the selected entry, read from the history when it is selected and
+// released when the selection changes
+const ExportPreview = ({ entry, projectManager }) => {
+  const [url, setUrl] = useState(null);
+
+  useEffect(() => {
+    let objectUrl = null;
+    let cancelled = false;
+    setUrl(null);
+    projectManager.getExport(entry.id).then(result => {
+      if (cancelled || !result.success) return;
+      objectUrl = URL.createObjectURL(result.blob);
+      setUrl(objectUrl);
+    });
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [entry, projectManager]);
+
+  if (!url) return null;
+  return <ExportMediaPreview url={url} mimeType={entry.mimeType} extension={entry.extension} />;
+};
+
+// Gallery of past exports kept in IndexedDB
+const ExportHistory = ({ projectManager, onClose }) => {
+  const [entries, setEntries] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [storageInfo, setStorageInfo] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const refresh = async () => {
+    const [list, info] = await Promise.all([
+      projectManager.getExportList(),
+      projectManager.getStorageInfo()
+    ]);
+    setEntries(list);
+    setStorageInfo(info);
+    setLoading(false);
+  };
+
+  useEffect(() => {
+    refresh();
+  }, [projectManager]);
+
+  const handleDownload = async (entry) => {
+    const result = await projectManager.getExport(entry.id);
+    if (!result.success) return;
+    const url = URL.createObjectURL(result.blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = getExportFileName(entry);
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  };
+
+  const handleDelete = async (entry) => {
+    if (!confirm(`Delete this ${entry.extension.toUpperCase()} export from the history?`)) return;
+    const result = await projectManager.deleteExport(entry.id);
+    if (result.success) {
+      if (selectedId === entry.id) setSelectedId(null);
+      refresh();
+    }
+  };
+
+  const historySize = entries.reduce((total, entry) => total + entry.size, 0);
+  const selectedEntry = entries.find(entry => entry.id === selectedId);
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content export-history" onClick={(e) => e.stopPropagation()}>
+        <h3>🎞️ Export History</h3>
+        <div style={{ color: '#999', fontSize: '12px', marginBottom: '12px' }}>
+          {entries.length} export{entries.length === 1 ? '' : 's'} using {formatSize(historySize)}
+          {storageInfo && storageInfo.available > 0 && (
+            <> · browser storage {formatSize(storageInfo.used)} of {formatSize(storageInfo.available)} ({storageInfo.percentage.toFixed(1)}%)</>
+          )}
+        </div>
+
+        {selectedEntry && (
+          <div className="export-history-preview">
+            <ExportPreview entry={selectedEntry} projectManager={projectManager} />
+          </div>
+        )}
+
+        {loading ? (
+          <div style={{ color: '#ccc', textAlign: 'center', padding: '20px' }}>
+            Loading exports...
+          </div>
+        ) : entries.length === 0 ? (
+          <div style={{ color: '#ccc', textAlign: 'center', padding: '20px' }}>
+            No exports yet
+          </div>
+        ) : (
+          <div className="export-history-list">
+            {entries.map(entry => {
+              const format = EXPORT_FORMATS[entry.format];
+              return (
+                <div
+                  key={entry.id}
+                  className={`export-history-item ${entry.id === selectedId ? 'selected' : ''}`}
+                  onClick={() => setSelectedId(entry.id === selectedId ? null : entry.id)}
+                >
+                  <div style={{ minWidth: 0 }}>
+                    <div style={{ color: '#fff', fontWeight: '500', marginBottom: '4px' }}>
+                      {format?.label || entry.extension.toUpperCase()}
+                      {!format?.isAudioOnly && entry.settings && ` ${entry.settings.width}x${entry.settings.height} @ ${entry.settings.fps} fps`}
+                    </div>
+                    <div style={{ color: '#999', fontSize: '12px' }}>
+                      {new Date(entry.createdAt).toLocaleString()} · {entry.duration.toFixed(1)}s · {formatSize(entry.size)}
+                      {entry.codec && ` · ${entry.codec}`}
+                      {entry.projectName && ` · ${entry.projectName}`}
+                    </div>
+                  </div>
+                  <div style={{ display: 'flex', gap: '6px' }}>
+                    <button
+                      className="export-queue-button primary"
+                      onClick={(e) => { e.stopPropagation(); handleDownload(entry); }}
+                    >
+                      Download
+                    </button>
+                    <button
+                      className="export-queue-button"
+                      onClick={(e) => { e.stopPropagation(); handleDelete(entry); }}
+                      title="Delete from history"
+                    >
+                      🗑️
+                    </button>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+
+        <div className="modal-buttons">
+          <button onClick={onClose} className="modal-button cancel">
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ExportHistory;
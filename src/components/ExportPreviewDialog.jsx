@@ -0,0 +1,96 @@
+import React, { useState } from 'react';
+
+const formatSize = (bytes) => bytes >= 1024 * 1024
+  ? `${(bytes / (1024 * 1024)).toFixed(2)} MB`
+  : `${Math.round(bytes / 1024)} KB`;
+
+// Plays an export blob with the element that can show it, over a checkerboard so
+// transparent pixels are visible. ZIP bundles have no preview.
+export const ExportMediaPreview = ({ url, mimeType, extension, maxHeight = '240px', onLoadedMetadata }) => {
+  const style = { maxWidth: '100%', maxHeight, display: 'block', margin: '0 auto' };
+
+  if (mimeType.startsWith('video/')) {
+    return (
+      <div className="checkerboard">
+        <video src={url} style={style} controls autoPlay loop muted onLoadedMetadata={onLoadedMetadata} />
+      </div>
+    );
+  }
+  if (mimeType.startsWith('image/')) {
+    return (
+      <div className="checkerboard">
+        <img src={url} style={style} alt="Export preview" onLoad={onLoadedMetadata} />
+      </div>
+    );
+  }
+  if (mimeType.startsWith('audio/')) {
+    return <audio src={url} style={{ width: '100%' }} controls autoPlay loop onLoadedMetadata={onLoadedMetadata} />;
+  }
+  return (
+    <div style={{ color: '#999', textAlign: 'center', padding: '20px', fontSize: '13px' }}>
+      No preview for {extension.toUpperCase()} archives - download to open
+    </div>
+  );
+};
+
+// Shown when an export finishes, so bad renders can be caught before they are downloaded
+const ExportPreviewDialog = ({ preview, onDownload, onReExport, onDiscard, canReExport = true }) => {
+  const { result, width, height, fps, duration, isAudioOnly } = preview;
+  const [decodedSize, setDecodedSize] = useState(null);
+
+  // Read the real resolution back from the file (the export may have been letterboxed into it)
+  const handleLoadedMetadata = (e) => {
+    const element = e.target;
+    const naturalWidth = element.videoWidth || element.naturalWidth;
+    const naturalHeight = element.videoHeight || element.naturalHeight;
+    if (naturalWidth && naturalHeight) {
+      setDecodedSize({ width: naturalWidth, height: naturalHeight });
+    }
+  };
+
+  const resolution = decodedSize || { width, height };
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal-content export-preview">
+        <h3>Export preview</h3>
+
+        <div className="export-preview-media">
+          <ExportMediaPreview
+            url={result.url}
+            mimeType={result.blob.type}
+            extension={result.extension}
+            maxHeight="50vh"
+            onLoadedMetadata={handleLoadedMetadata}
+          />
+        </div>
+
+        <table className="export-preview-details">
+          <tbody>
+            <tr><td>File</td><td>{preview.fileName}</td></tr>
+            <tr><td>Size</td><td>{formatSize(result.blob.size)}</td></tr>
+            <tr><td>Duration</td><td>{duration.toFixed(2)}s</td></tr>
+            {result.codec && <tr><td>Codec</td><td>{result.codec}</td></tr>}
+            {!isAudioOnly && (
+              <tr><td>Resolution</td><td>{resolution.width}x{resolution.height} @ {fps} fps</td></tr>
+            )}
+          </tbody>
+        </table>
+
+        <div className="modal-buttons">
+          <button onClick={onDiscard} className="modal-button cancel">
+            Discard
+          </button>
+          <button onClick={onReExport} className="modal-button cancel" disabled={!canReExport} title="Discard this file and export again with the current settings">
+            Re-export
+          </button>
+          <button onClick={onDownload} className="modal-button download">
+            Download
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ExportPreviewDialog;
@@ -1,6 +1,6 @@
 import React from 'react';
 
-const ExportProgress = ({ progress, status }) => {
+const ExportProgress = ({ progress, status, warnings = [], isCancelling = false, onCancel }) => {
   // Ensure progress is a valid number, default to 0 if NaN or undefined
   const validProgress = isNaN(progress) || progress === undefined || progress === null ? 0 : progress;
   
@@ -21,6 +21,22 @@ const ExportProgress = ({ progress, status }) => {
       <div style={{ fontSize: '12px', textAlign: 'center', marginTop: '8px' }}>
         {Math.round(validProgress)}%
       </div>
+      {warnings.length > 0 && (
+        <div className="export-warnings">
+          {warnings.map((warning, index) => (
+            <div key={index}>⚠️ {warning}</div>
+          ))}
+        </div>
+      )}
+      {onCancel && (
+        <button
+          className="export-cancel-button"
+          onClick={onCancel}
+          disabled={isCancelling}
+        >
+          {isCancelling ? 'Cancelling...' : 'Cancel'}
+        </button>
+      )}
     </div>
   );
 };
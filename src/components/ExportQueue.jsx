@@ -0,0 +1,140 @@
+import React from 'react';
+import { EXPORT_FORMATS, MAX_EXPORT_FPS } from '../utils/VideoComposer';
+
+const STATUS_LABELS = {
+  queued: 'Queued',
+  running: 'Exporting',
+  done: 'Done',
+  failed: 'Failed',
+  cancelled: 'Cancelled'
+};
+
+const formatSize = (bytes) => bytes >= 1024 * 1024
+  ? `${(bytes / (1024 * 1024)).toFixed(2)} MB`
+  : `${Math.round(bytes / 1024)} KB`;
+
+// Jobs are processed one after another; finished ones keep their blob until removed or cleared
+const ExportQueue = ({ jobs, isRunning, onStart, onPause, onUpdateJob, onRemoveJob, onCancelJob, onDownloadJob, onClearFinished }) => {
+  const hasQueued = jobs.some(job => job.status === 'queued');
+  const hasFinished = jobs.some(job => job.status !== 'queued' && job.status !== 'running');
+
+  return (
+    <div className="export-queue">
+      <div className="export-queue-header">
+        <span style={{ fontWeight: '500' }}>Export Queue ({jobs.length})</span>
+        <div style={{ display: 'flex', gap: '6px' }}>
+          {isRunning ? (
+            <button className="export-queue-button" onClick={onPause} title="Finish the current job, then stop">
+              Pause
+            </button>
+          ) : (
+            <button className="export-queue-button primary" onClick={onStart} disabled={!hasQueued}>
+              Run
+            </button>
+          )}
+          <button className="export-queue-button" onClick={onClearFinished} disabled={!hasFinished}>
+            Clear finished
+          </button>
+        </div>
+      </div>
+
+      {jobs.map(job => {
+        const format = EXPORT_FORMATS[job.format] || EXPORT_FORMATS.webm;
+        const editable = job.status === 'queued';
+
+        return (
+          <div key={job.id} className={`export-queue-job ${job.status}`}>
+            <div className="export-queue-row">
+              <select
+                value={job.format}
+                onChange={(e) => onUpdateJob(job.id, { format: e.target.value })}
+                disabled={!editable}
+                className="settings-select"
+              >
+                {Object.entries(EXPORT_FORMATS).map(([key, option]) => (
+                  <option key={key} value={key}>{option.label}</option>
+                ))}
+              </select>
+              {!format.isAudioOnly && (
+                <>
+                  <input
+                    type="number"
+                    min="16"
+                    max="3840"
+                    value={job.width}
+                    onChange={(e) => onUpdateJob(job.id, { width: Math.max(16, parseInt(e.target.value) || 16) })}
+                    disabled={!editable}
+                    className="fps-input"
+                    title="Width"
+                  />
+                  <span>×</span>
+                  <input
+                    type="number"
+                    min="16"
+                    max="3840"
+                    value={job.height}
+                    onChange={(e) => onUpdateJob(job.id, { height: Math.max(16, parseInt(e.target.value) || 16) })}
+                    disabled={!editable}
+                    className="fps-input"
+                    title="Height"
+                  />
+                  <input
+                    type="number"
+                    min="1"
+                    max={MAX_EXPORT_FPS}
+                    value={job.fps}
+                    onChange={(e) => onUpdateJob(job.id, { fps: Math.min(MAX_EXPORT_FPS, Math.max(1, parseInt(e.target.value) || 1)) })}
+                    disabled={!editable}
+                    className="fps-input"
+                    title="Frames per second"
+                  />
+                  <span>fps</span>
+                </>
+              )}
+            </div>
+
+            <div className="export-queue-row">
+              <span className="export-queue-status">
+                {STATUS_LABELS[job.status]}
+                {job.status === 'running' && job.statusText ? ` - ${job.statusText}` : ''}
+                {job.status === 'done' && job.result ? ` - ${formatSize(job.result.blob.size)}` : ''}
+                {job.status === 'failed' && job.error ? ` - ${job.error}` : ''}
+              </span>
+              <div style={{ display: 'flex', gap: '6px', marginLeft: 'auto' }}>
+                {job.status === 'done' && (
+                  <button className="export-queue-button primary" onClick={() => onDownloadJob(job)}>
+                    Download
+                  </button>
+                )}
+                {job.status === 'running' ? (
+                  <button className="export-queue-button" onClick={() => onCancelJob(job.id)} disabled={job.isCancelling}>
+                    {job.isCancelling ? 'Cancelling...' : 'Cancel'}
+                  </button>
+                ) : (
+                  <button className="export-queue-button" onClick={() => onRemoveJob(job.id)} title="Remove from queue">
+                    ✕
+                  </button>
+                )}
+              </div>
+            </div>
+
+            {job.status === 'running' && (
+              <div className="progress-bar">
+                <div className="progress-fill" style={{ width: `${job.progress || 0}%` }} />
+              </div>
+            )}
+            {job.warnings?.length > 0 && (
+              <div className="export-warnings">
+                {job.warnings.map((warning, index) => (
+                  <div key={index}>⚠️ {warning}</div>
+                ))}
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default ExportQueue;
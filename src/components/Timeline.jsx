@@ -1,4 +1,5 @@
 import React, { useRef, useEffect, useCallback, useState, forwardRef, useImperativeHandle } from 'react';
+import { getDefaultItemSize } from '../utils/MediaProcessor';
 
 // Small tolerance for floating-point precision in collision detection
 // This allows items to be placed truly back-to-back with 0 gap
@@ -18,7 +19,9 @@ const Timeline = forwardRef(({
   onDurationChange,
   playbackFrameRate = 15, // Default to 15fps if not provided
   restoreFileForItem, // Function to restore File objects for uploaded media
-  exportMode = false // Add exportMode prop to disable interactions during export
+  exportMode = false, // Add exportMode prop to disable interactions during export
+  exportRange = null, // { start, end } in/out points for export; null = whole timeline
+  onExportRangeChange
 }, ref) => {
   const timelineRef = useRef();
   const [isDragging, setIsDragging] = useState(false);
@@ -47,6 +50,9 @@ const Timeline = forwardRef(({
   const [rulerMouseDown, setRulerMouseDown] = useState(false);
   const rulerMouseDownPos = useRef({ x: 0, y: 0 });
 
+  // In/out point handle being dragged on the ruler ('start' | 'end')
+  const [draggingRangeEdge, setDraggingRangeEdge] = useState(null);
+
   // Smart snapping function that snaps to adjacent items
   const getSmartSnappedTime = useCallback((rawTime, draggedItemId, trackItems) => {
     // First, apply grid snapping
@@ -299,8 +305,9 @@ const Timeline = forwardRef(({
   
   // Expose audioElements via ref
   useImperativeHandle(ref, () => ({
-    getAudioElements: () => audioElements.current
-  }), []);
+    getAudioElements: () => audioElements.current,
+    getTrackAssignments: () => calculateTrackAssignments(mediaItems)
+  }), [calculateTrackAssignments, mediaItems]);
 
   // Debug logging
   // console.log('Timeline rendering - trackAssignments:', trackAssignments, 'mediaItems:', mediaItems.length);
@@ -729,8 +736,7 @@ const Timeline = forwardRef(({
         startTime: Math.round(dropTime * 10) / 10, // Snap to 0.1s grid
         x: 100, // Default canvas position
         y: 100,
-        width: sourceItem.type === 'video' || sourceItem.subtype === 'gif' || sourceItem.subtype === 'sticker' ? 320 : 200,
-        height: sourceItem.type === 'video' || sourceItem.subtype === 'gif' || sourceItem.subtype === 'sticker' ? 180 : 150,
+        ...getDefaultItemSize(sourceItem),
         rotation: 0,
         opacity: 1,
         // Force track if dropped in specific area
@@ -1524,6 +1530,55 @@ const Timeline = forwardRef(({
     };
   }, [handleMouseMove, handleMouseUp, contextMenu, closeContextMenu]);
 
+  // Set one edge of the export range, keeping in <= out. Times snap to the 0.1s grid.
+  const updateExportRange = useCallback((edge, time) => {
+    if (!onExportRangeChange) return;
+    const snapped = Math.round(Math.max(0, Math.min(duration, time)) * 10) / 10;
+    const start = exportRange?.start ?? 0;
+    const end = exportRange?.end ?? null;
+
+    if (edge === 'start') {
+      onExportRangeChange({ start: end != null ? Math.min(snapped, end) : snapped, end });
+    } else {
+      onExportRangeChange({ start, end: Math.max(snapped, start) });
+    }
+  }, [exportRange, onExportRangeChange, duration]);
+
+  const clearExportRange = useCallback(() => {
+    onExportRangeChange?.(null);
+  }, [onExportRangeChange]);
+
+  const handleRangeHandleMouseDown = useCallback((e, edge) => {
+    if (exportMode) return;
+    // Keep the ruler from seeking/scrubbing underneath the handle
+    e.stopPropagation();
+    e.preventDefault();
+    setDraggingRangeEdge(edge);
+  }, [exportMode]);
+
+  useEffect(() => {
+    if (!draggingRangeEdge) return;
+
+    const handleRangeMouseMove = (e) => {
+      const rect = timelineRef.current?.getBoundingClientRect();
+      if (rect) {
+        updateExportRange(draggingRangeEdge, (e.clientX - rect.left) / scale);
+      }
+    };
+
+    const handleRangeMouseUp = () => {
+      setDraggingRangeEdge(null);
+    };
+
+    document.addEventListener('mousemove', handleRangeMouseMove);
+    document.addEventListener('mouseup', handleRangeMouseUp);
+
+    return () => {
+      document.removeEventListener('mousemove', handleRangeMouseMove);
+      document.removeEventListener('mouseup', handleRangeMouseUp);
+    };
+  }, [draggingRangeEdge, updateExportRange, scale]);
+
   // Separate mouse event handlers for scrubbing to avoid conflicts
   useEffect(() => {
     if (!isScrubbing && !rulerMouseDown) return;
@@ -1668,12 +1723,30 @@ const Timeline = forwardRef(({
           e.preventDefault();
           setSelectedItems(new Set(mediaItems.map(item => item.id)));
         }
+      } else if ((e.key === 'i' || e.key === 'o') && !e.ctrlKey && !e.metaKey && !e.altKey) {
+        // Set the export in/out point at the playhead
+        if (!isTyping) {
+          updateExportRange(e.key === 'i' ? 'start' : 'end', currentTime);
+        }
       }
     };
 
     window.addEventListener('keydown', handleKeyDown);
     return () => window.removeEventListener('keydown', handleKeyDown);
-  }, [selectedItems, deleteSelectedItems, copySelectedItems, pasteItems, duplicateSelectedItems, mediaItems, exportMode]);
+  }, [selectedItems, deleteSelectedItems, copySelectedItems, pasteItems, duplicateSelectedItems, mediaItems, exportMode, updateExportRange, currentTime]);
+
+  const rangeStart = exportRange ? Math.min(exportRange.start ?? 0, duration) : 0;
+  const rangeEnd = exportRange?.end != null ? Math.min(exportRange.end, duration) : duration;
+  const formatRangeTime = (time) => `${Math.floor(time / 60)}:${(time % 60).toFixed(1).padStart(4, '0')}`;
+  const rangeButtonStyle = {
+    background: '#444',
+    color: '#ccc',
+    border: 'none',
+    borderRadius: '3px',
+    padding: '2px 6px',
+    fontSize: '11px',
+    cursor: 'pointer'
+  };
 
   return (
     <div>
@@ -1820,6 +1893,38 @@ const Timeline = forwardRef(({
             <span style={{ fontSize: '11px', color: '#999' }}>
               Selected: {selectedItems.size} | Copied: {copiedItems.length}
             </span>
+            {onExportRangeChange && (
+              <span style={{ display: 'flex', gap: '4px', alignItems: 'center' }}>
+                <button
+                  style={rangeButtonStyle}
+                  onClick={() => updateExportRange('start', currentTime)}
+                  title="Set export in point at playhead (I)"
+                >
+                  [ In
+                </button>
+                <button
+                  style={rangeButtonStyle}
+                  onClick={() => updateExportRange('end', currentTime)}
+                  title="Set export out point at playhead (O)"
+                >
+                  Out ]
+                </button>
+                {exportRange && (
+                  <>
+                    <span style={{ fontSize: '11px', color: '#f5b342', fontFamily: 'monospace' }}>
+                      {formatRangeTime(rangeStart)} - {formatRangeTime(rangeEnd)}
+                    </span>
+                    <button
+                      style={rangeButtonStyle}
+                      onClick={clearExportRange}
+                      title="Export the whole timeline"
+                    >
+                      ✕
+                    </button>
+                  </>
+                )}
+              </span>
+            )}
             <span style={{ fontSize: '11px', color: '#ccc', fontFamily: 'monospace' }}>
               {Math.floor(currentTime / 60)}:{Math.round((currentTime % 60) * 10) / 10} / {Math.floor(duration / 60)}:{Math.round((duration % 60) * 10) / 10}
             </span>
@@ -1843,6 +1948,28 @@ const Timeline = forwardRef(({
           }}
         >
           {generateTimeMarkers()}
+          {exportRange && (
+            <>
+              {/* Export range: highlighted region with draggable in/out handles */}
+              <div
+                className="timeline-export-range"
+                style={{
+                  left: `${rangeStart * scale}px`,
+                  width: `${Math.max(0, rangeEnd - rangeStart) * scale}px`
+                }}
+              />
+              {[['start', rangeStart], ['end', rangeEnd]].map(([edge, time]) => (
+                <div
+                  key={edge}
+                  className={`timeline-range-handle ${edge}`}
+                  style={{ left: `${time * scale}px` }}
+                  onMouseDown={(e) => handleRangeHandleMouseDown(e, edge)}
+                  onClick={(e) => e.stopPropagation()}
+                  title={edge === 'start' ? 'Export in point' : 'Export out point'}
+                />
+              ))}
+            </>
+          )}
           <div 
             className="timeline-playhead"
             style={{ 
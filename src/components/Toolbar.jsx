@@ -1,17 +1,60 @@
 import React, { useState, useRef, useEffect } from 'react';
+import { EXPORT_FORMATS, DEFAULT_FORMAT_OPTIONS, MAX_EXPORT_FPS } from '../utils/VideoComposer';
+import { EXPORT_PRESETS, getPresetSettings } from '../utils/ExportPresets';
+import { DEFAULT_FRAME_BUDGET_MB, FRAME_BUDGET_OPTIONS_MB } from '../utils/FrameBudget';
+
+const GIF_DITHER_MODES = [
+  { value: 'sierra2_4a', label: 'Sierra Lite (default)' },
+  { value: 'floyd_steinberg', label: 'Floyd-Steinberg' },
+  { value: 'sierra2', label: 'Sierra-2' },
+  { value: 'bayer', label: 'Bayer (ordered)' },
+  { value: 'none', label: 'None' }
+];
+
+const formatEstimateSize = (bytes) => bytes >= 1024 * 1024
+  ? `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+  : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+
+const formatEstimateTime = (seconds) => seconds < 60
+  ? `${Math.max(1, Math.round(seconds))}s`
+  : `${Math.floor(seconds / 60)}m ${Math.round(seconds % 60)}s`;
+
+const formatMemory = (bytes) => bytes >= 1024 * 1024 * 1024
+  ? `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`
+  : `${Math.round(bytes / (1024 * 1024))} MB`;
+
+const VP9_RATE_CONTROLS = [
+  { value: 'bitrate', label: 'Target bitrate' },
+  { value: 'crf', label: 'Constant quality (CRF)' },
+  { value: 'cq', label: 'Constrained quality (CRF + max bitrate)' }
+];
+
+const VP9_DEADLINES = [
+  { value: 'realtime', label: 'Realtime (fastest)' },
+  { value: 'good', label: 'Good' },
+  { value: 'best', label: 'Best (slowest)' }
+];
 
 const Toolbar = ({ 
   isPlaying, 
   onPlayPause, 
   onAddMedia, 
   onExport, 
+  onExportFrame,
+  onAddToQueue,
   onClear,
   exportProgress,
+  isQueueBusy,
+  exportEstimate,
+  estimateStatus,
+  onEstimate,
+  frameCacheUsage,
   settings,
   onSettingsChange,
   // New props for project management and undo/redo
   onSaveProject,
   onLoadProject,
+  onShowExportHistory,
   onUndo,
   onRedo,
   canUndo,
@@ -21,6 +64,7 @@ const Toolbar = ({
   const [showSettings, setShowSettings] = useState(false);
   const [showClearModal, setShowClearModal] = useState(false);
   const [showAboutModal, setShowAboutModal] = useState(false);
+  const [showAdvancedEncoding, setShowAdvancedEncoding] = useState(false);
   const settingsRef = useRef();
 
   // Close settings dropdown when clicking outside
@@ -46,10 +90,40 @@ const Toolbar = ({
   const handleFrameRateChange = (fps) => {
     onSettingsChange({
       ...settings,
-      exportFrameRate: Math.min(30, Math.max(1, fps))
+      exportFrameRate: Math.min(MAX_EXPORT_FPS, Math.max(1, fps))
+    });
+  };
+
+  const handleExportSettingChange = (key, value) => {
+    onSettingsChange({
+      ...settings,
+      [key]: value
+    });
+  };
+
+  const handleFormatOptionChange = (key, value) => {
+    const format = settings.exportFormat;
+    onSettingsChange({
+      ...settings,
+      formatOptions: {
+        ...settings.formatOptions,
+        [format]: {
+          ...DEFAULT_FORMAT_OPTIONS[format],
+          ...settings.formatOptions?.[format],
+          [key]: value
+        }
+      }
     });
   };
 
+  const exportFormat = EXPORT_FORMATS[settings.exportFormat] || EXPORT_FORMATS.webm;
+  const formatOptions = {
+    ...DEFAULT_FORMAT_OPTIONS[settings.exportFormat],
+    ...settings.formatOptions?.[settings.exportFormat]
+  };
+  const keepsAlpha = exportFormat.supportsAlpha && settings.exportAlpha;
+  const activePreset = EXPORT_PRESETS[settings.exportPreset];
+
   const handleClearAll = () => {
     setShowClearModal(true);
   };
@@ -87,6 +161,9 @@ const Toolbar = ({
         <button onClick={onLoadProject} className="project-button load">
           📁 Load
         </button>
+        <button onClick={onShowExportHistory} className="project-button" title="Past exports">
+          🎞️ Exports
+        </button>
         
         <div className="toolbar-divider"></div>
         
@@ -127,6 +204,15 @@ const Toolbar = ({
       </div>
       
       <div className="toolbar-right">
+        {frameCacheUsage && (
+          <span
+            className={`frame-cache-usage ${frameCacheUsage.usedBytes > frameCacheUsage.budgetBytes ? 'over' : ''}`}
+            title={`${frameCacheUsage.frameCount} frames cached as PNG (video frames and still images). Past the budget, the least recently shown frames are released and decoded again when needed (frames on screen or being exported are kept). Change the budget in Settings.`}
+          >
+            🧠 {formatMemory(frameCacheUsage.usedBytes)} / {formatMemory(frameCacheUsage.budgetBytes)}
+          </span>
+        )}
+
         <div className="settings-container" ref={settingsRef}>
           <button 
             onClick={() => setShowSettings(!showSettings)}
@@ -158,6 +244,342 @@ const Toolbar = ({
                 </div>
               </div>
               
+              <div className="settings-section">
+                <h3>Export</h3>
+                <div className="settings-row">
+                  <label>Profile:</label>
+                  <select
+                    value={settings.exportPreset || ''}
+                    onChange={(e) => onSettingsChange(getPresetSettings(e.target.value || null, settings))}
+                    className="settings-select"
+                  >
+                    <option value="">Custom</option>
+                    {Object.entries(EXPORT_PRESETS).map(([key, preset]) => (
+                      <option key={key} value={key}>{preset.label}</option>
+                    ))}
+                  </select>
+                </div>
+                {activePreset && (
+                  <div className="settings-row">
+                    <span className="preset-summary">
+                      {activePreset.width}x{activePreset.height}, ≤{activePreset.fps} fps, {activePreset.format.toUpperCase()}
+                      {activePreset.maxDuration ? `, ≤${activePreset.maxDuration}s` : ''}
+                      {activePreset.maxFrames ? `, ≤${activePreset.maxFrames} frames` : ''}
+                      {activePreset.maxSizeKB ? `, ≤${activePreset.maxSizeKB >= 1024 ? `${activePreset.maxSizeKB / 1024} MB` : `${activePreset.maxSizeKB} KB`}` : ''}
+                    </span>
+                  </div>
+                )}
+                {[false, true].map(audioOnly => (
+                  <div className="settings-row" key={audioOnly ? 'audio' : 'video'}>
+                    {audioOnly && <label>Audio only:</label>}
+                    {Object.entries(EXPORT_FORMATS)
+                      .filter(([, format]) => !!format.isAudioOnly === audioOnly)
+                      .map(([key, format]) => (
+                        <button
+                          key={key}
+                          className={`preset-button small ${settings.exportFormat === key ? 'active' : ''}`}
+                          onClick={() => handleExportSettingChange('exportFormat', key)}
+                        >
+                          {format.label}
+                        </button>
+                      ))}
+                  </div>
+                ))}
+                {exportFormat.supportsAlpha && (
+                  <div className="settings-row">
+                    <label className="settings-checkbox">
+                      <input
+                        type="checkbox"
+                        checked={!!settings.exportAlpha}
+                        onChange={(e) => handleExportSettingChange('exportAlpha', e.target.checked)}
+                      />
+                      Transparent background ({exportFormat.alphaLabel})
+                    </label>
+                  </div>
+                )}
+                {!keepsAlpha && !exportFormat.isAudioOnly && (
+                  <div className="settings-row">
+                    <label>Background:</label>
+                    <input
+                      type="color"
+                      value={settings.exportBackground || '#000000'}
+                      onChange={(e) => handleExportSettingChange('exportBackground', e.target.value)}
+                      className="color-input"
+                    />
+                    <span>Transparency is flattened</span>
+                  </div>
+                )}
+                {settings.exportFormat === 'webm' && (
+                  <div className="settings-row">
+                    <label>Target size:</label>
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.1"
+                      value={formatOptions.targetSizeMB ?? ''}
+                      placeholder="Off"
+                      onChange={(e) => {
+                        const value = parseFloat(e.target.value);
+                        handleFormatOptionChange('targetSizeMB', value > 0 ? value : null);
+                      }}
+                      className="fps-input"
+                    />
+                    <span>MB (two-pass)</span>
+                  </div>
+                )}
+                {settings.exportFormat === 'webm' && (
+                  <div className="settings-row">
+                    <button
+                      className="preset-button small"
+                      onClick={() => setShowAdvancedEncoding(!showAdvancedEncoding)}
+                    >
+                      {showAdvancedEncoding ? '▾' : '▸'} Advanced encoding
+                    </button>
+                  </div>
+                )}
+                {settings.exportFormat === 'webm' && showAdvancedEncoding && (
+                  <>
+                    <div className="settings-row">
+                      <label>Rate control:</label>
+                      <select
+                        value={formatOptions.rateControl}
+                        onChange={(e) => handleFormatOptionChange('rateControl', e.target.value)}
+                        className="settings-select"
+                        disabled={formatOptions.targetSizeMB > 0}
+                      >
+                        {VP9_RATE_CONTROLS.map(mode => (
+                          <option key={mode.value} value={mode.value}>{mode.label}</option>
+                        ))}
+                      </select>
+                    </div>
+                    {formatOptions.targetSizeMB > 0 && (
+                      <div className="settings-row">
+                        <span>Target size uses two-pass average bitrate</span>
+                      </div>
+                    )}
+                    {!(formatOptions.targetSizeMB > 0) && formatOptions.rateControl !== 'crf' && (
+                      <div className="settings-row">
+                        <label>{formatOptions.rateControl === 'cq' ? 'Max bitrate:' : 'Bitrate:'}</label>
+                        <input
+                          type="number"
+                          min="50"
+                          max="50000"
+                          step="100"
+                          value={formatOptions.bitrateKbps}
+                          onChange={(e) => handleFormatOptionChange('bitrateKbps', Math.min(50000, Math.max(50, parseInt(e.target.value) || 50)))}
+                          className="fps-input"
+                        />
+                        <span>kbps</span>
+                      </div>
+                    )}
+                    {!(formatOptions.targetSizeMB > 0) && formatOptions.rateControl !== 'bitrate' && (
+                      <div className="settings-row">
+                        <label>CRF:</label>
+                        <input
+                          type="number"
+                          min="0"
+                          max="63"
+                          value={formatOptions.crf}
+                          onChange={(e) => handleFormatOptionChange('crf', Math.min(63, Math.max(0, parseInt(e.target.value) || 0)))}
+                          className="fps-input"
+                        />
+                        <span>0-63, lower = better</span>
+                      </div>
+                    )}
+                    <div className="settings-row">
+                      <label>Deadline:</label>
+                      <select
+                        value={formatOptions.deadline}
+                        onChange={(e) => handleFormatOptionChange('deadline', e.target.value)}
+                        className="settings-select"
+                      >
+                        {VP9_DEADLINES.map(deadline => (
+                          <option key={deadline.value} value={deadline.value}>{deadline.label}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <div className="settings-row">
+                      <label>Speed:</label>
+                      <input
+                        type="number"
+                        min="0"
+                        max="8"
+                        value={formatOptions.cpuUsed ?? ''}
+                        placeholder="Auto"
+                        onChange={(e) => {
+                          const value = parseInt(e.target.value);
+                          handleFormatOptionChange('cpuUsed', isNaN(value) ? null : Math.min(8, Math.max(0, value)));
+                        }}
+                        className="fps-input"
+                      />
+                      <span>cpu-used 0-8, higher = faster</span>
+                    </div>
+                    <div className="settings-row">
+                      <label>Keyframe every:</label>
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.5"
+                        value={formatOptions.keyframeInterval ?? ''}
+                        placeholder="Auto"
+                        onChange={(e) => {
+                          const value = parseFloat(e.target.value);
+                          handleFormatOptionChange('keyframeInterval', value > 0 ? value : null);
+                        }}
+                        className="fps-input"
+                      />
+                      <span>seconds</span>
+                    </div>
+                    <div className="settings-row">
+                      <label>Audio:</label>
+                      {['vorbis', 'opus'].map(codec => (
+                        <button
+                          key={codec}
+                          className={`preset-button small ${formatOptions.audioCodec === codec ? 'active' : ''}`}
+                          onClick={() => handleFormatOptionChange('audioCodec', codec)}
+                        >
+                          {codec === 'opus' ? 'Opus' : 'Vorbis'}
+                        </button>
+                      ))}
+                      <input
+                        type="number"
+                        min="32"
+                        max="320"
+                        step="16"
+                        value={formatOptions.audioBitrate}
+                        onChange={(e) => handleFormatOptionChange('audioBitrate', Math.min(320, Math.max(32, parseInt(e.target.value) || 32)))}
+                        className="fps-input"
+                      />
+                      <span>kbps{formatOptions.targetSizeMB > 0 ? ' max' : ''}</span>
+                    </div>
+                  </>
+                )}
+                {settings.exportFormat === 'gif' && (
+                  <>
+                    <div className="settings-row">
+                      <label>Dithering:</label>
+                      <select
+                        value={formatOptions.dither}
+                        onChange={(e) => handleFormatOptionChange('dither', e.target.value)}
+                        className="settings-select"
+                      >
+                        {GIF_DITHER_MODES.map(mode => (
+                          <option key={mode.value} value={mode.value}>{mode.label}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <div className="settings-row">
+                      <label>Loop count:</label>
+                      <input
+                        type="number"
+                        min="-1"
+                        max="100"
+                        value={formatOptions.loop}
+                        onChange={(e) => handleFormatOptionChange('loop', Math.max(-1, parseInt(e.target.value) || 0))}
+                        className="fps-input"
+                      />
+                      <span>0 = forever, -1 = once</span>
+                    </div>
+                    <div className="settings-row">
+                      <label>Max FPS:</label>
+                      <input
+                        type="number"
+                        min="1"
+                        max="50"
+                        value={formatOptions.maxFps}
+                        onChange={(e) => handleFormatOptionChange('maxFps', Math.min(50, Math.max(1, parseInt(e.target.value) || 1)))}
+                        className="fps-input"
+                      />
+                    </div>
+                    {keepsAlpha && (
+                      <div className="settings-row">
+                        <label>Alpha cutoff:</label>
+                        <input
+                          type="number"
+                          min="0"
+                          max="255"
+                          value={formatOptions.alphaThreshold}
+                          onChange={(e) => handleFormatOptionChange('alphaThreshold', Math.min(255, Math.max(0, parseInt(e.target.value) || 0)))}
+                          className="fps-input"
+                        />
+                        <span>Below this → transparent index</span>
+                      </div>
+                    )}
+                  </>
+                )}
+                {(settings.exportFormat === 'webp' || settings.exportFormat === 'apng') && (
+                  <>
+                    <div className="settings-row">
+                      <label className="settings-checkbox">
+                        <input
+                          type="checkbox"
+                          checked={!!formatOptions.lossless}
+                          onChange={(e) => handleFormatOptionChange('lossless', e.target.checked)}
+                        />
+                        Lossless
+                      </label>
+                    </div>
+                    <div className="settings-row">
+                      <label>Quality:</label>
+                      <input
+                        type="number"
+                        min="0"
+                        max="100"
+                        value={formatOptions.quality}
+                        onChange={(e) => handleFormatOptionChange('quality', Math.min(100, Math.max(0, parseInt(e.target.value) || 0)))}
+                        className="fps-input"
+                        disabled={settings.exportFormat === 'apng' && formatOptions.lossless}
+                      />
+                      <span>
+                        {settings.exportFormat === 'apng'
+                          ? 'Lossy APNG uses a palette (1-bit alpha)'
+                          : formatOptions.lossless ? 'Compression effort' : '0-100'}
+                      </span>
+                    </div>
+                    <div className="settings-row">
+                      <label>Loop count:</label>
+                      <input
+                        type="number"
+                        min="0"
+                        max="100"
+                        value={formatOptions.loop}
+                        onChange={(e) => handleFormatOptionChange('loop', Math.max(0, parseInt(e.target.value) || 0))}
+                        className="fps-input"
+                      />
+                      <span>0 = forever</span>
+                    </div>
+                  </>
+                )}
+                <div className="settings-row">
+                  <label>Still frame:</label>
+                  {['png', 'webp'].map(format => (
+                    <button
+                      key={format}
+                      className={`preset-button small ${(settings.frameExportFormat || 'png') === format ? 'active' : ''}`}
+                      onClick={() => handleExportSettingChange('frameExportFormat', format)}
+                    >
+                      {format.toUpperCase()}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              <div className="settings-section">
+                <h3>Memory</h3>
+                <div className="settings-row">
+                  <label>Frame cache:</label>
+                  {FRAME_BUDGET_OPTIONS_MB.map(megabytes => (
+                    <button
+                      key={megabytes}
+                      className={`preset-button small ${(settings.frameCacheBudgetMB || DEFAULT_FRAME_BUDGET_MB) === megabytes ? 'active' : ''}`}
+                      onClick={() => onSettingsChange({ ...settings, frameCacheBudgetMB: megabytes })}
+                    >
+                      {formatMemory(megabytes * 1024 * 1024)}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
               <div className="settings-section">
                 {/* <h3>Export Frame Rate</h3> */}
                 {/* <div className="settings-row">
@@ -201,10 +623,47 @@ const Toolbar = ({
         <button 
           onClick={onExport} 
           className="export-button"
-          disabled={exportProgress !== null}
-          style={{ opacity: exportProgress !== null ? 0.5 : 1 }}
+          disabled={exportProgress !== null || isQueueBusy}
+          style={{ opacity: exportProgress !== null || isQueueBusy ? 0.5 : 1 }}
+        >
+          Export {exportFormat.label}
+        </button>
+
+        {onEstimate && (
+          <button
+            onClick={onEstimate}
+            className="export-estimate"
+            disabled={estimateStatus === 'running' || exportProgress !== null || isQueueBusy}
+            title={exportEstimate
+              ? `Approximate, from a short sample render with these settings: ${exportEstimate.exportDuration.toFixed(1)}s${exportEstimate.frameCount ? `, ${exportEstimate.frameCount} frames` : ''}${exportEstimate.isTargetSize ? ', size set by the target' : ''}. Click to measure again.`
+              : 'Estimate the output size and render time by rendering and encoding a short sample'}
+          >
+            {estimateStatus === 'running' ? 'Estimating...'
+              : exportEstimate ? <>
+                  Approx. {formatEstimateSize(exportEstimate.sizeBytes)}
+                  {exportEstimate.renderSeconds != null && ` · ${formatEstimateTime(exportEstimate.renderSeconds)}`}
+                </>
+              : estimateStatus === 'error' ? 'No estimate - retry'
+              : 'Estimate'}
+          </button>
+        )}
+
+        <button
+          onClick={onAddToQueue}
+          className="export-button"
+          title={`Add a ${exportFormat.label} ${settings.canvasWidth}x${settings.canvasHeight} job to the export queue`}
+        >
+          + Queue
+        </button>
+
+        <button
+          onClick={onExportFrame}
+          className="export-button"
+          disabled={exportProgress !== null || isQueueBusy}
+          style={{ opacity: exportProgress !== null || isQueueBusy ? 0.5 : 1 }}
+          title={`Save the frame at the playhead as ${(settings.frameExportFormat || 'png').toUpperCase()} (${settings.canvasWidth}x${settings.canvasHeight})`}
         >
-          Export WebM
+          Export Frame
         </button>
       
         <button onClick={handleClearAll} className="clear-button">
@@ -1,6 +1,6 @@
 import React, { useRef, useEffect, useState, useCallback } from 'react';
 import { fabric } from 'fabric';
-import { MediaProcessor } from '../utils/MediaProcessor';
+import { MediaProcessor, getDefaultItemSize } from '../utils/MediaProcessor';
 
 const VideoCanvas = ({ 
   mediaItems, 
@@ -13,12 +13,13 @@ const VideoCanvas = ({
   canvasHeight = 1080,
   exportMode = false,
   onItemsUpdate, // Add this prop for adding new items to timeline
-  restoreFileForItem // Add this prop for restoring File objects
+  restoreFileForItem, // Add this prop for restoring File objects
+  mediaProcessor: sharedMediaProcessor // Share extracted frames with the exporter
 }) => {
   const canvasRef = useRef();
   const fabricCanvas = useRef();
   const containerRef = useRef();
-  const mediaProcessor = useRef(new MediaProcessor());
+  const mediaProcessor = useRef(sharedMediaProcessor || new MediaProcessor());
   
   // Canvas dimensions from props
   const CANVAS_WIDTH = canvasWidth;
@@ -35,6 +36,7 @@ const VideoCanvas = ({
   const [processingStatus, setProcessingStatus] = useState('');
   const [queueStatus, setQueueStatus] = useState({ queueLength: 0, isProcessing: false, totalInProgress: 0 });
   const [rescalingStatus, setRescalingStatus] = useState(''); // Track background rescaling
+  const [framesVersion, setFramesVersion] = useState(0); // Bumped when streamed frames finish decoding
   const fabricObjects = useRef(new Map()); // Track fabric objects by media item ID
   const mediaProcessors = useRef(new Map()); // Frame-based processors
   const animationFrame = useRef();
@@ -95,9 +97,8 @@ const VideoCanvas = ({
         startTime: Math.round(currentTime * 10) / 10, // Place at current timeline position, snapped to 0.1s grid
         x: clampedX, // Use actual canvas coordinates
         y: clampedY,
-        // Set appropriate default sizes based on media type
-        width: sourceItem.type === 'video' || sourceItem.subtype === 'gif' || sourceItem.subtype === 'sticker' ? 320 : 200,
-        height: sourceItem.type === 'video' || sourceItem.subtype === 'gif' || sourceItem.subtype === 'sticker' ? 180 : 150,
+        // Default size follows the media's own dimensions
+        ...getDefaultItemSize(sourceItem),
         rotation: 0,
         opacity: 1
       };
@@ -159,6 +160,11 @@ const VideoCanvas = ({
     }
   }, [isDragging]);
 
+  // Long sources decode around the playhead in the background - redraw when their frames arrive
+  useEffect(() => {
+    return mediaProcessor.current.onFramesLoaded(() => setFramesVersion(version => version + 1));
+  }, []);
+
   // Process media item and extract frames
   const processMediaItem = useCallback(async (item) => {
     if (mediaProcessors.current.has(item.id)) {
@@ -774,7 +780,7 @@ const VideoCanvas = ({
       setTimeout(() => canvas.renderAll(), 0);
     }
 
-  }, [mediaItems, currentTime, selectedItem, getCurrentFrameImage, isDragging]);
+  }, [mediaItems, currentTime, selectedItem, getCurrentFrameImage, isDragging, framesVersion]);
 
   // Update display size when canvas dimensions change
   useEffect(() => {
@@ -0,0 +1,35 @@
+// Pure drawing code shared by FrameRenderer (main thread) and FrameRenderWorker.
+// Kept free of DOM and worker setup so both contexts can import it.
+
+// Draw one composed frame from [{ item, image }] layers in stacking order, so the
+// worker and the main-thread fallback produce identical frames.
+export const drawComposition = (ctx, layers, width, height, { compositionWidth, compositionHeight, backgroundColor = null }) => {
+  ctx.clearRect(0, 0, width, height);
+
+  // Flatten onto a solid colour for targets that cannot store alpha
+  if (backgroundColor) {
+    ctx.fillStyle = backgroundColor;
+    ctx.fillRect(0, 0, width, height);
+  }
+
+  // Fit the composition into the output while maintaining aspect ratio
+  const sourceWidth = compositionWidth || width;
+  const sourceHeight = compositionHeight || height;
+  const scale = Math.min(width / sourceWidth, height / sourceHeight);
+  const offsetX = (width - sourceWidth * scale) / 2;
+  const offsetY = (height - sourceHeight * scale) / 2;
+
+  for (const { item, image } of layers) {
+    // Same transform Fabric applies: x/y is the (rotated) top-left corner
+    ctx.save();
+    ctx.translate(offsetX, offsetY);
+    ctx.scale(scale, scale);
+    ctx.translate(item.x || 0, item.y || 0);
+    ctx.rotate(((item.rotation || 0) * Math.PI) / 180);
+    ctx.globalAlpha = item.opacity ?? 1;
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(image, 0, 0, item.width, item.height);
+    ctx.restore();
+  }
+};
@@ -0,0 +1,417 @@
+// Minimal demuxers for feeding WebCodecs: the first video track of an MP4/MOV
+// (non-fragmented ISO BMFF) or a WebM/Matroska file, as encoded samples with
+// timestamps. Anything unusual (fragmented MP4, laced blocks, unknown codecs)
+// returns null so the caller can fall back to FFmpeg.
+
+const hex2 = (value) => value.toString(16).padStart(2, '0');
+const dec2 = (value) => value.toString().padStart(2, '0');
+
+// WebCodecs codec strings from the codec configuration records
+const getAvcCodec = (avcC) => `avc1.${hex2(avcC[1])}${hex2(avcC[2])}${hex2(avcC[3])}`;
+
+const getHevcCodec = (prefix, hvcC) => {
+  const profileSpace = ['', 'A', 'B', 'C'][hvcC[1] >> 6];
+  const tier = (hvcC[1] >> 5) & 1 ? 'H' : 'L';
+  const profileIdc = hvcC[1] & 0x1f;
+  const compatibility = ((hvcC[2] << 24) | (hvcC[3] << 16) | (hvcC[4] << 8) | hvcC[5]) >>> 0;
+  let reversed = 0;
+  for (let bit = 0; bit < 32; bit++) {
+    reversed = ((reversed << 1) | ((compatibility >>> bit) & 1)) >>> 0;
+  }
+  const constraints = Array.from(hvcC.subarray(6, 12));
+  while (constraints.length > 0 && constraints[constraints.length - 1] === 0) constraints.pop();
+
+  return [`${prefix}.${profileSpace}${profileIdc}`, reversed.toString(16), `${tier}${hvcC[12]}`, ...constraints.map(hex2)].join('.');
+};
+
+// vpcC: version and flags (4 bytes), profile, level, bit depth in the top nibble
+const getVp9CodecFromConfig = (vpcC) => `vp09.${dec2(vpcC[4])}.${dec2(vpcC[5])}.${dec2(vpcC[6] >> 4)}`;
+
+// WebM has no VP9 configuration record - read the profile from the first frame header
+const getVp9CodecFromFrame = (frame) => {
+  const profile = ((frame[0] >> 5) & 1) | (((frame[0] >> 4) & 1) << 1);
+  return `vp09.${dec2(profile)}.10.${profile >= 2 ? '10' : '08'}`;
+};
+
+const getAv1Codec = (av1C) => {
+  const profile = av1C[1] >> 5;
+  const level = av1C[1] & 0x1f;
+  const tier = av1C[2] >> 7 ? 'H' : 'M';
+  const bitDepth = (av1C[2] >> 6) & 1 ? ((av1C[2] >> 5) & 1 ? 12 : 10) : 8;
+  return `av01.${profile}.${dec2(level)}${tier}.${dec2(bitDepth)}`;
+};
+
+// Shift timestamps so the first presented frame is at 0, and fill in missing durations
+const finishSamples = (samples) => {
+  if (samples.length === 0) return null;
+
+  const start = samples.reduce((min, sample) => Math.min(min, sample.timestamp), Infinity);
+  samples.forEach(sample => {
+    sample.timestamp = Math.round((sample.timestamp - start) * 1e6) / 1e6;
+  });
+
+  const presented = [...samples].sort((a, b) => a.timestamp - b.timestamp);
+  presented.forEach((sample, index) => {
+    const next = presented[index + 1];
+    if (next) {
+      sample.duration = next.timestamp - sample.timestamp;
+    } else if (!(sample.duration > 0)) {
+      sample.duration = presented.length > 1 ? sample.timestamp / (presented.length - 1) : 0.1;
+    }
+  });
+
+  const last = presented[presented.length - 1];
+  return { samples, duration: last.timestamp + last.duration };
+};
+
+// --- MP4 / MOV ---
+
+// QuickTime files don't always start with ftyp
+const MP4_FIRST_BOXES = new Set(['ftyp', 'moov', 'mdat', 'wide', 'free', 'skip']);
+
+const readBoxes = (view, start, end) => {
+  const boxes = [];
+  let offset = start;
+  while (offset + 8 <= end) {
+    let size = view.getUint32(offset);
+    const type = String.fromCharCode(
+      view.getUint8(offset + 4), view.getUint8(offset + 5), view.getUint8(offset + 6), view.getUint8(offset + 7)
+    );
+    let headerSize = 8;
+    if (size === 1) {
+      size = Number(view.getBigUint64(offset + 8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < headerSize || offset + size > end) break;
+
+    boxes.push({ type, start: offset + headerSize, end: offset + size });
+    offset += size;
+  }
+  return boxes;
+};
+
+const findBox = (view, parent, path) => {
+  let box = parent;
+  for (const type of path) {
+    box = readBoxes(view, box.start, box.end).find(child => child.type === type);
+    if (!box) return null;
+  }
+  return box;
+};
+
+// Entry tables: version/flags (4 bytes), entry count, entries of `fields` 32-bit values
+const readTable = (view, box, fields, countOffset = 4) => {
+  const count = view.getUint32(box.start + countOffset);
+  const entries = [];
+  let offset = box.start + countOffset + 4;
+  for (let i = 0; i < count && offset + fields * 4 <= box.end; i++) {
+    const entry = [];
+    for (let field = 0; field < fields; field++) {
+      entry.push(view.getInt32(offset));
+      offset += 4;
+    }
+    entries.push(entry);
+  }
+  return entries;
+};
+
+const demuxMp4 = (buffer) => {
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+  const root = { start: 0, end: buffer.byteLength };
+  const moov = findBox(view, root, ['moov']);
+  if (!moov) return null;
+  // Fragmented files keep their samples in moof boxes
+  if (readBoxes(view, 0, buffer.byteLength).some(box => box.type === 'moof')) return null;
+
+  const track = readBoxes(view, moov.start, moov.end)
+    .filter(box => box.type === 'trak')
+    .find(trak => {
+      const hdlr = findBox(view, trak, ['mdia', 'hdlr']);
+      return hdlr && String.fromCharCode(...bytes.subarray(hdlr.start + 8, hdlr.start + 12)) === 'vide';
+    });
+  if (!track) return null;
+
+  // Display rotation from the track matrix (a, b as 16.16 fixed point)
+  const tkhd = findBox(view, track, ['tkhd']);
+  let rotation = 0;
+  if (tkhd) {
+    const matrixOffset = tkhd.start + (view.getUint8(tkhd.start) === 1 ? 52 : 40);
+    const a = view.getInt32(matrixOffset) / 65536;
+    const b = view.getInt32(matrixOffset + 4) / 65536;
+    rotation = ((Math.round(Math.atan2(b, a) * 180 / Math.PI) % 360) + 360) % 360;
+  }
+
+  const mdhd = findBox(view, track, ['mdia', 'mdhd']);
+  const stbl = findBox(view, track, ['mdia', 'minf', 'stbl']);
+  if (!mdhd || !stbl) return null;
+  const timescale = view.getUint32(mdhd.start + (view.getUint8(mdhd.start) === 1 ? 20 : 12));
+
+  const tables = {};
+  readBoxes(view, stbl.start, stbl.end).forEach(box => {
+    tables[box.type] = box;
+  });
+  if (!tables.stsd || !tables.stts || !tables.stsc || !tables.stsz || !(tables.stco || tables.co64)) return null;
+
+  // Sample description: a VisualSampleEntry is 78 bytes before its child boxes
+  const [entry] = readBoxes(view, tables.stsd.start + 8, tables.stsd.end);
+  if (!entry) return null;
+  const codedWidth = view.getUint16(entry.start + 24);
+  const codedHeight = view.getUint16(entry.start + 26);
+  const configBoxes = readBoxes(view, entry.start + 78, entry.end);
+  const getConfig = (type) => {
+    const box = configBoxes.find(child => child.type === type);
+    return box ? bytes.slice(box.start, box.end) : null;
+  };
+
+  let codec = null;
+  let description;
+  if (entry.type === 'avc1' || entry.type === 'avc3') {
+    description = getConfig('avcC');
+    codec = description && getAvcCodec(description);
+  } else if (entry.type === 'hvc1' || entry.type === 'hev1') {
+    description = getConfig('hvcC');
+    codec = description && getHevcCodec(entry.type, description);
+  } else if (entry.type === 'vp09') {
+    const vpcC = getConfig('vpcC');
+    codec = vpcC ? getVp9CodecFromConfig(vpcC) : 'vp09.00.10.08';
+  } else if (entry.type === 'av01') {
+    description = getConfig('av1C');
+    codec = description && getAv1Codec(description);
+  }
+  if (!codec) return null;
+
+  // Sample sizes
+  const fixedSize = view.getUint32(tables.stsz.start + 4);
+  const sampleCount = view.getUint32(tables.stsz.start + 8);
+  const sizes = new Array(sampleCount);
+  for (let i = 0; i < sampleCount; i++) {
+    sizes[i] = fixedSize || view.getUint32(tables.stsz.start + 12 + i * 4);
+  }
+
+  // Chunk offsets, then sample offsets by walking the sample-to-chunk runs
+  const chunkOffsets = [];
+  if (tables.stco) {
+    const count = view.getUint32(tables.stco.start + 4);
+    for (let i = 0; i < count; i++) chunkOffsets.push(view.getUint32(tables.stco.start + 8 + i * 4));
+  } else {
+    const count = view.getUint32(tables.co64.start + 4);
+    for (let i = 0; i < count; i++) chunkOffsets.push(Number(view.getBigUint64(tables.co64.start + 8 + i * 8)));
+  }
+  const sampleToChunk = readTable(view, tables.stsc, 3);
+  const offsets = [];
+  for (let run = 0; run < sampleToChunk.length; run++) {
+    const [firstChunk, samplesPerChunk] = sampleToChunk[run];
+    const lastChunk = run + 1 < sampleToChunk.length ? sampleToChunk[run + 1][0] - 1 : chunkOffsets.length;
+    for (let chunk = firstChunk; chunk <= lastChunk; chunk++) {
+      let offset = chunkOffsets[chunk - 1];
+      for (let i = 0; i < samplesPerChunk && offsets.length < sampleCount; i++) {
+        offsets.push(offset);
+        offset += sizes[offsets.length - 1];
+      }
+    }
+  }
+
+  // Decode timestamps from stts, presentation offsets from ctts
+  const decodeTimes = [];
+  let time = 0;
+  readTable(view, tables.stts, 2).forEach(([count, delta]) => {
+    for (let i = 0; i < count; i++) {
+      decodeTimes.push({ time, delta });
+      time += delta;
+    }
+  });
+  const compositionOffsets = [];
+  if (tables.ctts) {
+    readTable(view, tables.ctts, 2).forEach(([count, offset]) => {
+      for (let i = 0; i < count; i++) compositionOffsets.push(offset);
+    });
+  }
+  const syncSamples = tables.stss ? new Set(readTable(view, tables.stss, 1).map(([number]) => number - 1)) : null;
+
+  const samples = [];
+  for (let i = 0; i < sampleCount && i < offsets.length && i < decodeTimes.length; i++) {
+    if (offsets[i] + sizes[i] > buffer.byteLength) break;
+    samples.push({
+      timestamp: (decodeTimes[i].time + (compositionOffsets[i] || 0)) / timescale,
+      duration: decodeTimes[i].delta / timescale,
+      isKey: syncSamples ? syncSamples.has(i) : true,
+      data: bytes.subarray(offsets[i], offsets[i] + sizes[i])
+    });
+  }
+
+  const timing = finishSamples(samples);
+  return timing && { codec, codedWidth, codedHeight, description, rotation, hasAlpha: false, ...timing };
+};
+
+// --- WebM / Matroska ---
+
+const EBML_IDS = {
+  segment: 0x18538067,
+  info: 0x1549a966,
+  timecodeScale: 0x2ad7b1,
+  tracks: 0x1654ae6b,
+  trackEntry: 0xae,
+  trackNumber: 0xd7,
+  trackType: 0x83,
+  codecId: 0x86,
+  codecPrivate: 0x63a2,
+  defaultDuration: 0x23e383,
+  video: 0xe0,
+  pixelWidth: 0xb0,
+  pixelHeight: 0xba,
+  alphaMode: 0x53c0,
+  cluster: 0x1f43b675,
+  timecode: 0xe7,
+  simpleBlock: 0xa3,
+  blockGroup: 0xa0,
+  block: 0xa1,
+  blockDuration: 0x9b,
+  referenceBlock: 0xfb
+};
+
+// Master elements whose children are read in place; everything else is skipped by size
+const EBML_MASTERS = new Set([
+  EBML_IDS.segment, EBML_IDS.info, EBML_IDS.tracks, EBML_IDS.trackEntry, EBML_IDS.video, EBML_IDS.cluster, EBML_IDS.blockGroup
+]);
+
+// Variable-length integer; IDs keep their length marker, sizes drop it (-1 = unknown size)
+const readVint = (bytes, offset, keepMarker) => {
+  const first = bytes[offset];
+  let length = 1;
+  while (length <= 8 && !(first & (0x80 >> (length - 1)))) length++;
+  if (length > 8) return null;
+
+  let value = keepMarker ? first : first & (0xff >> length);
+  let allOnes = value === (0xff >> length);
+  for (let i = 1; i < length; i++) {
+    value = value * 256 + bytes[offset + i];
+    if (bytes[offset + i] !== 0xff) allOnes = false;
+  }
+  return { value: !keepMarker && allOnes ? -1 : value, length };
+};
+
+const readUint = (bytes, start, end) => {
+  let value = 0;
+  for (let i = start; i < end; i++) value = value * 256 + bytes[i];
+  return value;
+};
+
+const demuxWebm = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(buffer);
+  let timecodeScale = 1000000; // Nanoseconds per timecode unit
+  let clusterTimecode = 0;
+  const tracks = [];
+  const blocks = [];
+  let lastBlock = null;
+
+  let offset = 0;
+  while (offset < bytes.length) {
+    const id = readVint(bytes, offset, true);
+    if (!id) break;
+    const size = readVint(bytes, offset + id.length, false);
+    if (!size) break;
+    const start = offset + id.length + size.length;
+    const end = size.value < 0 ? bytes.length : Math.min(bytes.length, start + size.value);
+
+    if (EBML_MASTERS.has(id.value)) {
+      if (id.value === EBML_IDS.trackEntry) tracks.push({ defaultDuration: 0 });
+      offset = start; // Read the children next
+      continue;
+    }
+
+    const track = tracks[tracks.length - 1];
+    switch (id.value) {
+      case EBML_IDS.timecodeScale: timecodeScale = readUint(bytes, start, end); break;
+      case EBML_IDS.trackNumber: track.number = readUint(bytes, start, end); break;
+      case EBML_IDS.trackType: track.type = readUint(bytes, start, end); break;
+      case EBML_IDS.codecId: track.codecId = String.fromCharCode(...bytes.subarray(start, end)).replace(/\0+$/, ''); break;
+      case EBML_IDS.codecPrivate: track.codecPrivate = bytes.slice(start, end); break;
+      case EBML_IDS.defaultDuration: track.defaultDuration = readUint(bytes, start, end); break;
+      case EBML_IDS.pixelWidth: track.width = readUint(bytes, start, end); break;
+      case EBML_IDS.pixelHeight: track.height = readUint(bytes, start, end); break;
+      case EBML_IDS.alphaMode: track.alphaMode = readUint(bytes, start, end); break;
+      case EBML_IDS.timecode: clusterTimecode = readUint(bytes, start, end); break;
+      case EBML_IDS.simpleBlock:
+      case EBML_IDS.block: {
+        const trackNumber = readVint(bytes, start, false);
+        const headerEnd = start + trackNumber.length + 3;
+        const flags = bytes[headerEnd - 1];
+        if ((flags >> 1) & 3) return null; // Laced video blocks are not worth supporting
+        lastBlock = {
+          track: trackNumber.value,
+          timecode: clusterTimecode + view.getInt16(start + trackNumber.length),
+          // SimpleBlock flags the keyframe; a Block is one unless its group has a ReferenceBlock
+          isKey: id.value === EBML_IDS.simpleBlock ? !!(flags & 0x80) : true,
+          duration: 0,
+          data: bytes.subarray(headerEnd, end)
+        };
+        blocks.push(lastBlock);
+        break;
+      }
+      case EBML_IDS.blockDuration: if (lastBlock) lastBlock.duration = readUint(bytes, start, end); break;
+      case EBML_IDS.referenceBlock: if (lastBlock) lastBlock.isKey = false; break;
+      default: break;
+    }
+    offset = end;
+  }
+
+  const track = tracks.find(entry => entry.type === 1);
+  if (!track) return null;
+  const trackBlocks = blocks.filter(block => block.track === track.number);
+  if (trackBlocks.length === 0) return null;
+
+  let codec = null;
+  let description;
+  if (track.codecId === 'V_VP8') {
+    codec = 'vp8';
+  } else if (track.codecId === 'V_VP9') {
+    codec = getVp9CodecFromFrame(trackBlocks[0].data);
+  } else if (track.codecId === 'V_AV1' && track.codecPrivate) {
+    description = track.codecPrivate;
+    codec = getAv1Codec(description);
+  } else if (track.codecId === 'V_MPEG4/ISO/AVC' && track.codecPrivate) {
+    description = track.codecPrivate;
+    codec = getAvcCodec(description);
+  }
+  if (!codec) return null;
+
+  const secondsPerTick = timecodeScale / 1e9;
+  const samples = trackBlocks.map(block => ({
+    timestamp: block.timecode * secondsPerTick,
+    duration: block.duration ? block.duration * secondsPerTick : track.defaultDuration / 1e9,
+    isKey: block.isKey,
+    data: block.data
+  }));
+
+  const timing = finishSamples(samples);
+  return timing && {
+    codec,
+    codedWidth: track.width,
+    codedHeight: track.height,
+    description,
+    rotation: null, // Matroska has no rotation matrix; use the probed value
+    hasAlpha: track.alphaMode === 1, // Alpha lives in BlockAdditions, which WebCodecs can't decode
+    ...timing
+  };
+};
+
+// Demux the first video track. Samples are in decode order:
+// [{ timestamp, duration (seconds, first presented frame at 0), isKey, data }]
+export const demuxVideo = (buffer) => {
+  const bytes = new Uint8Array(buffer, 0, Math.min(12, buffer.byteLength));
+  try {
+    if (bytes[0] === 0x1a && bytes[1] === 0x45 && bytes[2] === 0xdf && bytes[3] === 0xa3) {
+      return demuxWebm(buffer);
+    }
+    if (MP4_FIRST_BOXES.has(String.fromCharCode(...bytes.subarray(4, 8)))) {
+      return demuxMp4(buffer);
+    }
+  } catch (error) {
+    console.warn('Could not demux video:', error);
+  }
+  return null;
+};
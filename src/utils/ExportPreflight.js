@@ -0,0 +1,80 @@
+import { checkExportPreset } from './ExportPresets';
+import { WebCodecsSource } from './WebCodecsSource';
+
+// Same limit MediaProcessor.extractFrames enforces on FFmpeg - checked here so it fails before the
+// export starts. Browsers with WebCodecs usually decode such files natively, so there it only warns.
+const MAX_MP4_SIZE = 50 * 1024 * 1024;
+
+// Axis-aligned bounds of an item after rotation about its top-left corner (Fabric's origin)
+const getItemBounds = (item) => {
+  const angle = ((item.rotation || 0) * Math.PI) / 180;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const x = item.x || 0;
+  const y = item.y || 0;
+  const corners = [[0, 0], [item.width, 0], [0, item.height], [item.width, item.height]]
+    .map(([cx, cy]) => [x + cx * cos - cy * sin, y + cx * sin + cy * cos]);
+
+  return {
+    left: Math.min(...corners.map(([cx]) => cx)),
+    right: Math.max(...corners.map(([cx]) => cx)),
+    top: Math.min(...corners.map(([, cy]) => cy)),
+    bottom: Math.max(...corners.map(([, cy]) => cy))
+  };
+};
+
+// Check the composition for problems that would make the export fail or come out wrong.
+// Returns [{ severity: 'error' | 'warning', message, itemId }]; errors block the export.
+// getSourceFile(item) returns the item's File when one is available in this session.
+export const runExportPreflight = ({ mediaItems, sourceMedia = [], settings, getSourceFile }) => {
+  const issues = [];
+  const sourcesById = new Map(sourceMedia.map(source => [source.id, source]));
+
+  for (const item of mediaItems) {
+    const source = sourcesById.get(item.sourceId);
+    const file = item.file instanceof File ? item.file : getSourceFile?.(item);
+
+    if (item.needsReimport || item.isMissingFile || source?.needsReimport || source?.isMissingFile || (item.hasFile && !file)) {
+      issues.push({
+        severity: 'error',
+        message: `"${item.name}" has no source file - re-import it with Add Media`,
+        itemId: item.id
+      });
+    } else if (item.type === 'video' && file && /\.mp4$/i.test(file.name) && file.size > MAX_MP4_SIZE) {
+      const canDecodeNatively = WebCodecsSource.isSupported();
+      issues.push({
+        severity: canDecodeNatively ? 'warning' : 'error',
+        message: canDecodeNatively
+          ? `"${item.name}" is an MP4 over 50 MB (${(file.size / (1024 * 1024)).toFixed(1)} MB) - it will fail if the browser can't decode its codec`
+          : `"${item.name}" is an MP4 over 50 MB (${(file.size / (1024 * 1024)).toFixed(1)} MB) - convert it to WebM or trim it`,
+        itemId: item.id
+      });
+    }
+
+    if (!(item.duration > 0)) {
+      issues.push({
+        severity: 'warning',
+        message: `"${item.name}" has zero length and will not appear in the export`,
+        itemId: item.id
+      });
+    }
+
+    if (item.type !== 'audio' && item.width > 0 && item.height > 0) {
+      const bounds = getItemBounds(item);
+      if (bounds.right <= 0 || bounds.bottom <= 0 || bounds.left >= settings.canvasWidth || bounds.top >= settings.canvasHeight) {
+        issues.push({
+          severity: 'warning',
+          message: `"${item.name}" is entirely outside the canvas and will not be visible`,
+          itemId: item.id
+        });
+      }
+    }
+  }
+
+  // Platform profile violations can be exported anyway
+  checkExportPreset(settings.exportPreset, { mediaItems, settings }).forEach(message => {
+    issues.push({ severity: 'warning', message, itemId: null });
+  });
+
+  return issues;
+};
@@ -0,0 +1,171 @@
+import { EXPORT_FORMATS } from './VideoComposer';
+
+// Named export profiles for platforms with strict upload rules. Selecting one sets
+// canvas size, fps and format together; checkExportPreset reports anything in the
+// composition that breaks the profile's limits before the export starts.
+export const EXPORT_PRESETS = {
+  telegram_video_sticker: {
+    label: 'Telegram video sticker',
+    width: 512,
+    height: 512,
+    fps: 30,
+    format: 'webm',
+    alpha: true,
+    maxDuration: 3,
+    maxSizeKB: 256,
+    allowsAudio: false
+  },
+  telegram_video_emoji: {
+    label: 'Telegram video emoji',
+    width: 100,
+    height: 100,
+    fps: 30,
+    format: 'webm',
+    alpha: true,
+    maxDuration: 3,
+    maxSizeKB: 64,
+    allowsAudio: false
+  },
+  discord_sticker: {
+    label: 'Discord sticker (APNG)',
+    width: 320,
+    height: 320,
+    fps: 30,
+    format: 'apng',
+    alpha: true,
+    maxDuration: 5,
+    maxSizeKB: 512,
+    allowsAudio: false
+  },
+  discord_emoji: {
+    label: 'Discord emoji (GIF)',
+    width: 128,
+    height: 128,
+    fps: 25,
+    format: 'gif',
+    alpha: true,
+    maxSizeKB: 256,
+    allowsAudio: false
+  },
+  discord_upload: {
+    label: 'Discord upload (10 MB)',
+    width: 1280,
+    height: 720,
+    fps: 30,
+    format: 'webm',
+    alpha: false,
+    maxSizeKB: 10 * 1024,
+    allowsAudio: true
+  },
+  twitch_animated_emote: {
+    label: 'Twitch animated emote',
+    width: 112,
+    height: 112,
+    fps: 20,
+    format: 'gif',
+    alpha: true,
+    maxFrames: 60,
+    maxSizeKB: 1024,
+    allowsAudio: false
+  }
+};
+
+// Settings a preset applies. WebM profiles aim the two-pass encode slightly under the limit.
+export const getPresetSettings = (presetId, settings) => {
+  const preset = EXPORT_PRESETS[presetId];
+  const formatOptions = { ...settings.formatOptions };
+
+  // The size target belongs to the preset that set it - left behind, every later export
+  // would silently stay a two-pass, size-targeted encode
+  const previousPreset = EXPORT_PRESETS[settings.exportPreset];
+  if (previousPreset?.format === 'webm' && previousPreset.maxSizeKB && formatOptions.webm) {
+    formatOptions.webm = { ...formatOptions.webm, targetSizeMB: null };
+  }
+
+  if (!preset) {
+    return { ...settings, exportPreset: null, formatOptions };
+  }
+
+  if (preset.format === 'webm') {
+    formatOptions.webm = {
+      ...formatOptions.webm,
+      targetSizeMB: preset.maxSizeKB ? Math.floor((preset.maxSizeKB * 0.95 / 1024) * 1000) / 1000 : null
+    };
+  }
+
+  return {
+    ...settings,
+    exportPreset: presetId,
+    canvasWidth: preset.width,
+    canvasHeight: preset.height,
+    exportFrameRate: preset.fps,
+    exportFormat: preset.format,
+    exportAlpha: preset.alpha,
+    formatOptions
+  };
+};
+
+// Length of the export the way VideoComposer computes it: last item end, clipped to the in/out range
+export const getExportDuration = (mediaItems, range = null) => {
+  const end = mediaItems.length > 0
+    ? Math.max(...mediaItems.map(item => item.startTime + item.duration))
+    : 0;
+  const start = range ? Math.min(Math.max(0, range.start || 0), end) : 0;
+  const stop = range && range.end != null ? Math.min(Math.max(start, range.end), end) : end;
+  return stop - start;
+};
+
+const formatLimit = (kb) => kb >= 1024 ? `${kb / 1024} MB` : `${kb} KB`;
+
+// Items that put sound in the export: audio items, videos with a split-off audio track, and
+// videos whose probe found an audio stream (VideoComposer mixes those in as well)
+const itemHasAudio = (item) => item.type === 'audio' || item.hasAudioTrack || (item.type === 'video' && !!item.mediaInfo?.audio);
+
+// List every way the current composition/settings break the preset's rules
+export const checkExportPreset = (presetId, { mediaItems, settings }) => {
+  const preset = EXPORT_PRESETS[presetId];
+  if (!preset) return [];
+
+  const violations = [];
+  const exportDuration = getExportDuration(mediaItems, settings.exportRange);
+
+  if (settings.canvasWidth !== preset.width || settings.canvasHeight !== preset.height) {
+    violations.push(`Canvas is ${settings.canvasWidth}x${settings.canvasHeight} - ${preset.label} must be ${preset.width}x${preset.height}`);
+  }
+  if (settings.exportFormat !== preset.format) {
+    violations.push(`Format is ${settings.exportFormat.toUpperCase()} - ${preset.label} must be ${preset.format.toUpperCase()}`);
+  }
+  if (settings.exportFrameRate > preset.fps) {
+    violations.push(`Frame rate is ${settings.exportFrameRate} fps - ${preset.label} allows at most ${preset.fps} fps`);
+  }
+  if (preset.maxDuration && exportDuration > preset.maxDuration) {
+    violations.push(`Export is ${exportDuration.toFixed(1)}s long - ${preset.label} allows at most ${preset.maxDuration}s (set in/out points to shorten it)`);
+  }
+  if (preset.maxFrames) {
+    const frameCount = Math.ceil(exportDuration * settings.exportFrameRate);
+    if (frameCount > preset.maxFrames) {
+      violations.push(`Export has ${frameCount} frames - ${preset.label} allows at most ${preset.maxFrames}`);
+    }
+  }
+  // Formats without audio drop it anyway (with their own warning)
+  const formatHasAudio = EXPORT_FORMATS[settings.exportFormat]?.supportsAudio;
+  const itemsWithAudio = mediaItems.filter(itemHasAudio);
+  if (!preset.allowsAudio && formatHasAudio && itemsWithAudio.length > 0) {
+    violations.push(`${preset.label} must not contain audio - remove the audio tracks or videos with sound (${itemsWithAudio.map(item => item.name).join(', ')})`);
+  }
+  if (preset.maxSizeKB && settings.exportFormat === 'webm') {
+    const targetSizeMB = settings.formatOptions?.webm?.targetSizeMB;
+    if (!targetSizeMB || targetSizeMB * 1024 > preset.maxSizeKB) {
+      violations.push(`Target size is ${targetSizeMB ? `${targetSizeMB} MB` : 'off'} - ${preset.label} files must be at most ${formatLimit(preset.maxSizeKB)}`);
+    }
+  }
+
+  return violations;
+};
+
+// Checked after encoding: formats without size targeting can only be verified once the file exists
+export const checkExportedSize = (presetId, sizeBytes) => {
+  const preset = EXPORT_PRESETS[presetId];
+  if (!preset?.maxSizeKB || sizeBytes <= preset.maxSizeKB * 1024) return null;
+  return `File is ${Math.round(sizeBytes / 1024)} KB - ${preset.label} allows at most ${formatLimit(preset.maxSizeKB)}`;
+};
@@ -0,0 +1,84 @@
+// Global memory budget for decoded frames. Every FrameStream registers its decoded chunks
+// (about a second of frame images each) here; when the total goes over the budget the
+// least recently drawn chunks are released, and their streams decode them again if they
+// are needed later. Chunks a reader is currently using are never evicted, so the budget
+// can be exceeded briefly by what is on screen or being exported. Still images count too,
+// but are never evicted since there is nothing to decode them from again.
+//
+// The budget is on the cached PNG bytes, which is what the cache holds: a frame only
+// exists as a bitmap (width x height x 4 bytes) while it is being drawn. A 1080p frame
+// is 1-3 MB as PNG, so the default keeps roughly 15-30 seconds of 1080p30 video -
+// the playback windows of a few clips plus recently shown chunks.
+
+export const DEFAULT_FRAME_BUDGET_MB = 1024;
+export const FRAME_BUDGET_OPTIONS_MB = [256, 512, 1024, 2048];
+
+export class FrameBudget {
+  constructor(budgetBytes = DEFAULT_FRAME_BUDGET_MB * 1024 * 1024) {
+    this.budgetBytes = budgetBytes;
+    this.usedBytes = 0;
+    this.frameCount = 0;
+    this.entries = new Map(); // Key -> { bytes, frames, release, isPinned }, least recently used first
+    this.listeners = new Set();
+  }
+
+  // Track a decoded chunk. release() frees its frames; isPinned() says whether it is in use.
+  add(key, { bytes, frames, release, isPinned }) {
+    this.remove(key);
+    this.entries.set(key, { bytes, frames, release, isPinned });
+    this.usedBytes += bytes;
+    this.frameCount += frames;
+    this.evict();
+    this.notify();
+  }
+
+  // Mark a chunk as just used
+  touch(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+  }
+
+  // Stop tracking a chunk its owner released itself
+  remove(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+    this.entries.delete(key);
+    this.usedBytes -= entry.bytes;
+    this.frameCount -= entry.frames;
+    this.notify();
+  }
+
+  setBudget(budgetBytes) {
+    this.budgetBytes = budgetBytes;
+    this.evict();
+    this.notify();
+  }
+
+  // Release least recently used chunks until the total fits the budget
+  evict() {
+    if (this.usedBytes <= this.budgetBytes) return;
+    for (const [key, entry] of [...this.entries]) {
+      if (this.usedBytes <= this.budgetBytes) break;
+      if (entry.isPinned?.()) continue;
+      this.remove(key);
+      entry.release();
+    }
+  }
+
+  getUsage() {
+    return { usedBytes: this.usedBytes, budgetBytes: this.budgetBytes, frameCount: this.frameCount };
+  }
+
+  // Called with getUsage() whenever usage or the budget changes; returns an unsubscribe function
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    const usage = this.getUsage();
+    this.listeners.forEach(listener => listener(usage));
+  }
+}
@@ -0,0 +1,56 @@
+import { drawComposition } from './Compositor';
+
+// Off-main-thread compositor for exports. The main thread decides which frame each
+// item shows and sends new frames as Blobs; decoding, drawing and PNG encoding
+// happen here on an OffscreenCanvas so the editor stays responsive.
+let options = null;
+let items = new Map(); // Serialized media items by ID
+const bitmaps = new Map(); // Current decoded frame by media item ID: { url, bitmap }
+let canvas = null;
+
+const render = async ({ layers, width, height, mimeType, quality }) => {
+  const drawLayers = [];
+
+  for (const layer of layers) {
+    const item = items.get(layer.itemId);
+    if (!item) continue;
+
+    if (layer.blob) {
+      const bitmap = await createImageBitmap(layer.blob);
+      bitmaps.get(layer.itemId)?.bitmap.close();
+      bitmaps.set(layer.itemId, { url: layer.url, bitmap });
+    }
+
+    const current = bitmaps.get(layer.itemId);
+    if (current && current.url === layer.url) {
+      drawLayers.push({ item, image: current.bitmap });
+    }
+  }
+
+  if (!canvas || canvas.width !== width || canvas.height !== height) {
+    canvas = new OffscreenCanvas(width, height);
+  }
+
+  drawComposition(canvas.getContext('2d'), drawLayers, width, height, options);
+  return canvas.convertToBlob({ type: mimeType, quality });
+};
+
+self.onmessage = async (event) => {
+  const { type, requestId } = event.data;
+
+  try {
+    if (type === 'init') {
+      const { compositionWidth, compositionHeight, backgroundColor } = event.data;
+      options = { compositionWidth, compositionHeight, backgroundColor };
+      items = new Map(event.data.items.map(item => [item.id, item]));
+      bitmaps.forEach(({ bitmap }) => bitmap.close());
+      bitmaps.clear();
+      self.postMessage({ type: 'ready', requestId });
+    } else if (type === 'render') {
+      const blob = await render(event.data);
+      self.postMessage({ type: 'frame', requestId, blob });
+    }
+  } catch (error) {
+    self.postMessage({ type: 'error', requestId, message: error.message });
+  }
+};
@@ -0,0 +1,258 @@
+import { drawComposition } from './Compositor';
+
+// Renders the composition at an exact timestamp onto a 2D canvas context.
+// This is independent from the on-screen Fabric canvas, so export frames are
+// drawn at full resolution without selection handles and without waiting
+// for React to re-render.
+
+// Item fields the compositor needs - everything else (File objects, frame data) stays behind
+const SERIALIZED_ITEM_FIELDS = ['id', 'name', 'type', 'x', 'y', 'width', 'height', 'rotation', 'opacity', 'startTime', 'duration'];
+
+export const serializeItem = (item) => {
+  const serialized = {};
+  SERIALIZED_ITEM_FIELDS.forEach(field => {
+    serialized[field] = item[field];
+  });
+  return serialized;
+};
+
+export class FrameRenderer {
+  constructor({ mediaProcessor, compositionWidth, compositionHeight, backgroundColor = null, useWorker = false } = {}) {
+    this.mediaProcessor = mediaProcessor;
+    this.compositionWidth = compositionWidth;
+    this.compositionHeight = compositionHeight;
+    this.backgroundColor = backgroundColor; // null keeps the frame transparent
+    this.useWorker = useWorker && FrameRenderer.supportsWorker();
+    this.items = [];
+    this.processors = new Map(); // Frame processors by media item ID
+    this.imageCache = new Map(); // Last decoded frame image by media item ID
+    this.canvas = null; // Main-thread canvas for renderFrameBlob without a worker
+
+    this.worker = null;
+    this.workerRequests = new Map(); // Pending worker replies by request ID
+    this.nextRequestId = 0;
+    this.sentFrames = new Map(); // Frame URL the worker currently holds, by media item ID
+    this.holdsFrames = false; // Registered with mediaProcessor.retainFrames() until dispose
+  }
+
+  // Composition, PNG encoding and frame decoding can run off the main thread
+  static supportsWorker() {
+    return typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined' && typeof createImageBitmap !== 'undefined';
+  }
+
+  // Extract frames for every visual item up front; long sources are only indexed here
+  // and decode around each rendered frame (see FrameStream)
+  async prepare(mediaItems, onProgress) {
+    // Copies, so edits made while an export runs do not leak into it
+    if (!this.holdsFrames) {
+      this.mediaProcessor.retainFrames(); // Nor frame rescaling from the preview
+      this.holdsFrames = true;
+    }
+    this.items = mediaItems.filter(item => item.type !== 'audio').map(item => ({ ...item }));
+
+    for (let i = 0; i < this.items.length; i++) {
+      const item = this.items[i];
+      onProgress?.((i / this.items.length) * 100, `Preparing ${item.name}...`);
+
+      if (this.processors.has(item.id)) continue;
+
+      try {
+        const frameData = item.isPreProcessed && item.frameData
+          ? item.frameData
+          : await this.mediaProcessor.extractFrames(item);
+        this.processors.set(item.id, this.mediaProcessor.createProcessor(item, frameData));
+      } catch (error) {
+        // Match the preview: items that fail to process are simply not drawn
+        console.warn('Skipping media item that could not be prepared for rendering:', item.name, error);
+      }
+    }
+
+    if (this.useWorker) {
+      await this.startWorker();
+    }
+
+    onProgress?.(100, 'Media ready for rendering');
+  }
+
+  async startWorker() {
+    try {
+      this.worker = new Worker(new URL('./FrameRenderWorker.js', import.meta.url), { type: 'module' });
+      this.worker.onmessage = (event) => {
+        const { requestId, type, blob, message } = event.data;
+        const request = this.workerRequests.get(requestId);
+        if (!request) return;
+        this.workerRequests.delete(requestId);
+        if (type === 'error') {
+          request.reject(new Error(message));
+        } else {
+          request.resolve(blob);
+        }
+      };
+      this.worker.onerror = (event) => {
+        event.preventDefault();
+        this.failWorkerRequests(new Error(event.message || 'Render worker crashed'));
+      };
+
+      await this.postToWorker({
+        type: 'init',
+        items: this.items.map(serializeItem),
+        compositionWidth: this.compositionWidth,
+        compositionHeight: this.compositionHeight,
+        backgroundColor: this.backgroundColor
+      });
+    } catch (error) {
+      console.warn('Render worker unavailable - rendering on the main thread:', error);
+      this.stopWorker();
+    }
+  }
+
+  postToWorker(message) {
+    return new Promise((resolve, reject) => {
+      const requestId = this.nextRequestId++;
+      this.workerRequests.set(requestId, { resolve, reject });
+      this.worker.postMessage({ ...message, requestId });
+    });
+  }
+
+  failWorkerRequests(error) {
+    this.workerRequests.forEach(request => request.reject(error));
+    this.workerRequests.clear();
+  }
+
+  stopWorker() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.failWorkerRequests(new Error('Render worker stopped'));
+    this.sentFrames.clear();
+  }
+
+  // Which frame of which item is on screen at `time`, in timeline (stacking) order.
+  // Streamed sources may have to decode the frame first.
+  async getLayers(time) {
+    const layers = [];
+    for (const item of this.items) {
+      const processor = this.processors.get(item.id);
+      if (!processor) continue;
+
+      // The item's timeline span decides visibility (it may be trimmed or extended); animated
+      // sources also end with their last frame, while still images hold for the whole span
+      const relativeTime = time - item.startTime;
+      if (relativeTime < 0 || relativeTime >= item.duration) continue;
+      if (processor.isAnimated && !processor.isVisibleAtTime(relativeTime)) continue;
+
+      const frame = await processor.loadFrame(relativeTime);
+      if (frame) {
+        layers.push({ item, frame });
+      }
+    }
+    return layers;
+  }
+
+  // Load (and decode) a frame image, keeping only the latest frame per item in memory
+  async loadFrameImage(itemId, url) {
+    const cached = this.imageCache.get(itemId);
+    if (cached && cached.url === url) {
+      return cached.img;
+    }
+
+    const img = new Image();
+    img.crossOrigin = 'anonymous';
+    img.src = url;
+
+    try {
+      await img.decode();
+    } catch (error) {
+      console.warn('Failed to decode frame for rendering:', url, error);
+      return null;
+    }
+
+    this.imageCache.set(itemId, { url, img });
+    return img;
+  }
+
+  // Draw the composition at `time` (seconds) into a width x height context
+  async renderFrame(ctx, time, width, height) {
+    const layers = [];
+    for (const { item, frame } of await this.getLayers(time)) {
+      const img = await this.loadFrameImage(item.id, frame.url);
+      if (img) {
+        layers.push({ item, image: img });
+      }
+    }
+
+    drawComposition(ctx, layers, width, height, {
+      compositionWidth: this.compositionWidth,
+      compositionHeight: this.compositionHeight,
+      backgroundColor: this.backgroundColor
+    });
+  }
+
+  // Render the composition at `time` and encode it as an image Blob
+  async renderFrameBlob(time, width, height, type = 'image/png', quality) {
+    if (this.worker) {
+      try {
+        return await this.renderFrameInWorker(time, width, height, type, quality);
+      } catch (error) {
+        // e.g. SVG frames, which createImageBitmap cannot decode in a worker
+        console.warn('Render worker failed - continuing on the main thread:', error);
+        this.stopWorker();
+      }
+    }
+
+    if (!this.canvas) {
+      this.canvas = document.createElement('canvas');
+    }
+    this.canvas.width = width;
+    this.canvas.height = height;
+    await this.renderFrame(this.canvas.getContext('2d'), time, width, height);
+    return canvasToBlob(this.canvas, type, quality);
+  }
+
+  async renderFrameInWorker(time, width, height, type, quality) {
+    const layers = [];
+    for (const { item, frame } of await this.getLayers(time)) {
+      // Each item's frame is sent once; the worker keeps decoding it until the frame changes
+      if (this.sentFrames.get(item.id) === frame.url) {
+        layers.push({ itemId: item.id, url: frame.url });
+        continue;
+      }
+
+      try {
+        const response = await fetch(frame.url);
+        layers.push({ itemId: item.id, url: frame.url, blob: await response.blob() });
+        this.sentFrames.set(item.id, frame.url);
+      } catch (error) {
+        console.warn('Failed to load frame for rendering:', frame.url, error);
+      }
+    }
+
+    return this.postToWorker({ type: 'render', layers, width, height, mimeType: type, quality });
+  }
+
+  dispose() {
+    if (this.holdsFrames) {
+      this.mediaProcessor.releaseFrames();
+      this.holdsFrames = false;
+    }
+    this.stopWorker();
+    this.imageCache.clear();
+    this.processors.clear();
+    this.items = [];
+    this.canvas = null;
+  }
+}
+
+// Promise wrapper around canvas.toBlob
+export const canvasToBlob = (canvas, type = 'image/png', quality) => {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (blob) {
+        resolve(blob);
+      } else {
+        reject(new Error('Failed to encode canvas frame'));
+      }
+    }, type, quality);
+  });
+};
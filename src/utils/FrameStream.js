@@ -0,0 +1,279 @@
+// Windowed frame decoding. Every source frame is indexed up front (timestamp only); the
+// images themselves are decoded in one-second chunks around each reader's position - the
+// preview playhead, an export in progress - and kept until the shared FrameBudget needs the
+// memory back, so usage stays bounded however long or numerous the clips are. Short sources
+// start out fully decoded and are only re-decoded where the budget released them.
+
+const CHUNK_SECONDS = 1;
+const WINDOW_BEHIND_SECONDS = 1;
+const WINDOW_AHEAD_SECONDS = 3;
+const READER_TIMEOUT_MS = 10000; // Readers that stop asking for frames no longer pin their window
+const FRAME_TIME_EPSILON = 0.0001;
+
+export class FrameStream {
+  // frames: [{ index, timestamp }] for every frame of the source, sorted by timestamp.
+  // decodeRange(start, length, shouldDecode) resolves to [{ time, url, size }] in source time,
+  // or null when shouldDecode() said the range is no longer needed by the time it ran.
+  // decoded: frames already decoded when the stream is created, in the same shape.
+  // budget is the FrameBudget the decoded chunks count against, under `id`.
+  constructor({ id, frames, duration, decodeRange, decoded = [], onChunkLoaded, onDispose, budget }) {
+    this.id = id;
+    this.frames = frames.map(frame => ({ ...frame, url: null }));
+    this.duration = duration;
+    this.decodeRange = decodeRange;
+    this.onChunkLoaded = onChunkLoaded;
+    this.onDispose = onDispose;
+    this.budget = budget;
+    this.chunkCount = Math.max(1, Math.ceil(duration / CHUNK_SECONDS));
+    this.chunks = new Map(); // Chunk index -> { promise, loaded, frameIndexes, waiters }
+    this.readers = new Map(); // Reader ID -> { time, updatedAt }
+    this.disposed = false;
+
+    // Frames decoded before the stream existed form loaded chunks of their own
+    const decodedByChunk = new Map();
+    decoded.forEach(frame => {
+      const chunk = this.getChunk(frame.time + FRAME_TIME_EPSILON);
+      if (!decodedByChunk.has(chunk)) decodedByChunk.set(chunk, []);
+      decodedByChunk.get(chunk).push(frame);
+    });
+    decodedByChunk.forEach((chunkFrames, chunk) => {
+      const entry = { promise: Promise.resolve(), loaded: true, frameIndexes: [], waiters: 0 };
+      this.assignDecodedFrames(chunk, chunkFrames, entry);
+      this.chunks.set(chunk, entry);
+      this.addToBudget(chunk, entry);
+    });
+  }
+
+  // Index of the last frame starting at or before `time`
+  findFrameIndex(time) {
+    const target = time + FRAME_TIME_EPSILON;
+    let low = 0;
+    let high = this.frames.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (this.frames[mid].timestamp <= target) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return low;
+  }
+
+  getChunk(time) {
+    return Math.max(0, Math.min(this.chunkCount - 1, Math.floor(time / CHUNK_SECONDS)));
+  }
+
+  // Chunk a frame is decoded with (a frame a hair before a chunk boundary belongs to the next one)
+  getFrameChunk(frame) {
+    return this.getChunk(frame.timestamp + FRAME_TIME_EPSILON);
+  }
+
+  getBudgetKey(chunk) {
+    return `${this.id}:${chunk}`;
+  }
+
+  addToBudget(chunk, entry) {
+    this.budget?.add(this.getBudgetKey(chunk), {
+      bytes: entry.frameIndexes.reduce((total, index) => total + (this.frames[index].size || 0), 0),
+      frames: entry.frameIndexes.length,
+      release: () => this.releaseChunk(chunk),
+      isPinned: () => entry.waiters > 0 || this.isChunkWanted(chunk)
+    });
+  }
+
+  // The frame about to be drawn - keeps its chunk at the recent end of the budget
+  useFrame(frame) {
+    if (frame) this.budget?.touch(this.getBudgetKey(this.getFrameChunk(frame)));
+    return frame;
+  }
+
+  getWindow(time) {
+    return [this.getChunk(time - WINDOW_BEHIND_SECONDS), this.getChunk(time + WINDOW_AHEAD_SECONDS)];
+  }
+
+  isChunkWanted(chunk) {
+    const now = Date.now();
+    for (const reader of this.readers.values()) {
+      if (now - reader.updatedAt > READER_TIMEOUT_MS) continue;
+      const [first, last] = this.getWindow(reader.time);
+      if (chunk >= first && chunk <= last) return true;
+    }
+    return false;
+  }
+
+  // Frame at `time` if it is decoded, otherwise the closest decoded one so something is
+  // drawn while the exact frame decodes. Moves the reader, which starts decoding around it.
+  getFrameAtTime(time, readerId) {
+    if (this.disposed || time < 0 || time >= this.duration) return null;
+    this.moveReader(readerId, time);
+
+    const index = this.findFrameIndex(time);
+    return this.useFrame(this.frames[index].url ? this.frames[index] : this.findDecodedFrame(index));
+  }
+
+  // Frame at `time`, waiting for its chunk to decode (used by exports, which need the exact frame).
+  // A waited-on chunk is decoded and kept even if the reader went idle while the decode was
+  // queued behind other FFmpeg jobs; a frame that still is not there is an error, never a neighbour.
+  async loadFrameAtTime(time, readerId) {
+    if (this.disposed || time < 0 || time >= this.duration) return null;
+    this.moveReader(readerId, time);
+
+    const index = this.findFrameIndex(time);
+    const frame = this.frames[index];
+    if (!frame.url) {
+      const chunk = this.getFrameChunk(frame);
+      const loading = this.loadChunk(chunk);
+      const entry = this.chunks.get(chunk);
+      entry.waiters++;
+      try {
+        await loading;
+      } finally {
+        entry.waiters--;
+      }
+      if (this.disposed) return null;
+      this.moveReader(readerId, time); // The wait may have outlasted READER_TIMEOUT_MS
+    }
+
+    if (!frame.url) {
+      throw new Error(`Frame at ${time.toFixed(3)}s could not be decoded`);
+    }
+    return this.useFrame(frame);
+  }
+
+  moveReader(readerId, time) {
+    this.readers.set(readerId, { time, updatedAt: Date.now() });
+    this.removeIdleReaders();
+
+    // The chunk under the reader first, then the ones ahead, then the ones behind
+    const current = this.getChunk(time);
+    const [first, last] = this.getWindow(time);
+    for (let chunk = current; chunk <= last; chunk++) {
+      this.loadChunk(chunk).catch(() => {});
+    }
+    for (let chunk = current - 1; chunk >= first; chunk--) {
+      this.loadChunk(chunk).catch(() => {});
+    }
+  }
+
+  loadChunk(chunk) {
+    const existing = this.chunks.get(chunk);
+    if (existing) return existing.promise;
+
+    const entry = { loaded: false, frameIndexes: [], waiters: 0 };
+    const start = chunk * CHUNK_SECONDS;
+    // Decode a little before the chunk so a frame right on the boundary is not lost to seek rounding
+    const margin = Math.min(start, 0.05);
+
+    entry.promise = this.decodeRange(start - margin, CHUNK_SECONDS + margin, () => !this.disposed && (entry.waiters > 0 || this.isChunkWanted(chunk)))
+      .then((decoded) => {
+        if (!decoded || this.disposed) {
+          decoded?.forEach(frame => URL.revokeObjectURL(frame.url));
+          this.chunks.delete(chunk);
+          return;
+        }
+        this.assignDecodedFrames(chunk, decoded, entry);
+        entry.loaded = true;
+        this.addToBudget(chunk, entry);
+        this.onChunkLoaded?.();
+      })
+      .catch((error) => {
+        this.chunks.delete(chunk);
+        throw error;
+      });
+
+    this.chunks.set(chunk, entry);
+    return entry.promise;
+  }
+
+  // Attach decoded images to the indexed frames that start inside this chunk
+  assignDecodedFrames(chunk, decoded, entry) {
+    const first = this.findFirstFrameFrom(chunk * CHUNK_SECONDS);
+    const last = this.findFirstFrameFrom((chunk + 1) * CHUNK_SECONDS) - 1;
+
+    for (const { time, url, size } of decoded) {
+      let index = this.findFrameIndex(time);
+      const next = this.frames[index + 1];
+      if (next && next.timestamp - time < time - this.frames[index].timestamp) {
+        index++;
+      }
+
+      const frame = this.frames[index];
+      if (index < first || index > last || frame.url) {
+        URL.revokeObjectURL(url); // Overlap with a neighbouring chunk, or a duplicate
+        continue;
+      }
+      frame.url = url;
+      frame.size = size;
+      entry.frameIndexes.push(index);
+    }
+
+    entry.frameIndexes.sort((a, b) => a - b);
+  }
+
+  // Index of the first frame starting at or after `time` (frames.length if none)
+  findFirstFrameFrom(time) {
+    const target = time - FRAME_TIME_EPSILON;
+    let low = 0;
+    let high = this.frames.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (this.frames[mid].timestamp < target) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    return low;
+  }
+
+  // Closest decoded frame to `index`, preferring earlier ones (the image that was just on screen)
+  findDecodedFrame(index) {
+    const chunk = this.getChunk(this.frames[index].timestamp);
+    for (let distance = 0; distance < this.chunkCount; distance++) {
+      const before = this.chunks.get(chunk - distance);
+      if (before?.loaded && before.frameIndexes.length > 0) {
+        const earlier = before.frameIndexes.filter(frameIndex => frameIndex <= index);
+        const frameIndex = earlier.length > 0 ? earlier[earlier.length - 1] : before.frameIndexes[0];
+        if (this.frames[frameIndex].url) return this.frames[frameIndex];
+      }
+      const after = distance > 0 ? this.chunks.get(chunk + distance) : null;
+      if (after?.loaded && after.frameIndexes.length > 0 && this.frames[after.frameIndexes[0]].url) {
+        return this.frames[after.frameIndexes[0]];
+      }
+    }
+    return null;
+  }
+
+  // Chunks outside every reader's window stay decoded; the budget releases them when it needs to
+  removeIdleReaders() {
+    const now = Date.now();
+    this.readers.forEach((reader, readerId) => {
+      if (now - reader.updatedAt > READER_TIMEOUT_MS) {
+        this.readers.delete(readerId);
+      }
+    });
+  }
+
+  releaseChunk(chunk) {
+    const entry = this.chunks.get(chunk);
+    if (!entry) return;
+    entry.frameIndexes.forEach(index => {
+      const frame = this.frames[index];
+      if (frame.url) {
+        URL.revokeObjectURL(frame.url);
+        frame.url = null;
+      }
+    });
+    this.chunks.delete(chunk);
+    this.budget?.remove(this.getBudgetKey(chunk));
+  }
+
+  dispose() {
+    if (this.disposed) return;
+    this.disposed = true;
+    [...this.chunks.keys()].forEach(chunk => this.releaseChunk(chunk));
+    this.readers.clear();
+    this.onDispose?.();
+  }
+}
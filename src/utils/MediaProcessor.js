@@ -1,5 +1,223 @@
 import { FFmpeg } from '@ffmpeg/ffmpeg';
 import { fetchFile, toBlobURL } from '@ffmpeg/util';
+import { FrameStream } from './FrameStream';
+import { FrameBudget } from './FrameBudget';
+import { WebCodecsSource } from './WebCodecsSource';
+
+// Pixel formats with an alpha channel (pal8 is GIF's palette, which can have a transparent entry)
+const ALPHA_PIXEL_FORMATS = /^(yuva|rgba|bgra|argb|abgr|ya\d|gbrap|pal8)/;
+
+const CHANNEL_COUNTS = {
+  mono: 1, stereo: 2, '2.1': 3, '3.0': 3, quad: 4, '4.0': 4, '5.0': 5, '5.1': 6, '6.1': 7, '7.1': 8
+};
+
+// "HH:MM:SS.xx" from FFmpeg logs in seconds
+const parseTimestamp = (value) => {
+  const match = /(\d+):(\d+):(\d+(?:\.\d+)?)/.exec(value);
+  return match ? parseInt(match[1]) * 3600 + parseInt(match[2]) * 60 + parseFloat(match[3]) : null;
+};
+
+// "29.97 fps", "30k tbr" -> number
+const parseRate = (value) => {
+  const number = parseFloat(value);
+  return value.endsWith('k') ? number * 1000 : number;
+};
+
+// Split a stream description on commas that are not inside parentheses:
+// "h264 (High), yuv420p(tv, bt709), 1920x1080 [SAR 1:1 DAR 16:9], 30 fps"
+const splitStreamDescription = (description) => {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const char of description) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current.trim());
+  return parts;
+};
+
+const parseVideoStream = (description, mediaInfo) => {
+  const parts = splitStreamDescription(description);
+  mediaInfo.codec = /^\w+/.exec(parts[0])?.[0] || null;
+
+  for (const part of parts.slice(1)) {
+    const size = /^(\d+)x(\d+)/.exec(part);
+    const fps = /^([\d.]+k?) fps$/.exec(part);
+    const tbr = /^([\d.]+k?) tbr$/.exec(part);
+
+    if (size) {
+      mediaInfo.width = parseInt(size[1]);
+      mediaInfo.height = parseInt(size[2]);
+    } else if (fps) {
+      mediaInfo.fps = parseRate(fps[1]);
+    } else if (tbr && !mediaInfo.fps) {
+      mediaInfo.fps = parseRate(tbr[1]);
+    } else if (!mediaInfo.pixelFormat && !mediaInfo.width && /^[a-z][a-z0-9_]*(\(|$)/.test(part)) {
+      // The pixel format comes right before the size
+      mediaInfo.pixelFormat = /^[a-z0-9_]+/.exec(part)[0];
+    }
+  }
+
+  mediaInfo.hasAlpha = ALPHA_PIXEL_FORMATS.test(mediaInfo.pixelFormat || '');
+};
+
+const parseAudioStream = (description) => {
+  const parts = splitStreamDescription(description);
+  const audio = {
+    codec: /^\w+/.exec(parts[0])?.[0] || null,
+    sampleRate: null,
+    channelLayout: null,
+    channels: null
+  };
+
+  const rateIndex = parts.findIndex(part => / Hz$/.test(part));
+  if (rateIndex >= 0) {
+    audio.sampleRate = parseInt(parts[rateIndex]);
+    // The channel layout follows the sample rate: "stereo", "5.1(side)" or "3 channels"
+    const layout = parts[rateIndex + 1];
+    if (layout) {
+      const channelCount = /^(\d+) channels/.exec(layout);
+      audio.channelLayout = layout;
+      audio.channels = channelCount ? parseInt(channelCount[1]) : CHANNEL_COUNTS[layout.replace(/\(.*\)$/, '')] || null;
+    }
+  }
+
+  return audio;
+};
+
+// Media info from the log of "ffmpeg -i <file>". Width/height are the display size,
+// i.e. swapped for files rotated by 90 degrees (FFmpeg auto-rotates extracted frames too).
+const parseMediaInfoLog = (lines) => {
+  const mediaInfo = {
+    duration: null,
+    fps: null,
+    width: null,
+    height: null,
+    codec: null,
+    pixelFormat: null,
+    hasAlpha: false,
+    rotation: 0,
+    audio: null
+  };
+  let inVideoStream = false; // Metadata and side data lines belong to the stream above them
+
+  for (const line of lines) {
+    const duration = /Duration: (\d+:\d+:[\d.]+)/.exec(line);
+    if (duration) {
+      mediaInfo.duration = parseTimestamp(duration[1]);
+      continue;
+    }
+
+    const stream = /Stream #\d+:\d+.*?: (\w+): (.*)$/.exec(line);
+    if (stream) {
+      const [, kind, description] = stream;
+      // Cover art in audio files shows up as a video stream
+      inVideoStream = kind === 'Video' && !mediaInfo.codec && !description.includes('(attached pic)');
+      if (inVideoStream) {
+        parseVideoStream(description, mediaInfo);
+      } else if (kind === 'Audio' && !mediaInfo.audio) {
+        mediaInfo.audio = parseAudioStream(description);
+      }
+      continue;
+    }
+
+    if (!inVideoStream) continue;
+
+    // Older files carry a "rotate" tag, newer FFmpeg reports a display matrix (counter-clockwise)
+    const rotateTag = /^\s*rotate\s*:\s*(-?[\d.]+)/.exec(line);
+    const displayMatrix = /displaymatrix: rotation of (-?[\d.]+) degrees/.exec(line);
+    if (rotateTag) {
+      mediaInfo.rotation = ((Math.round(parseFloat(rotateTag[1])) % 360) + 360) % 360;
+    } else if (displayMatrix) {
+      mediaInfo.rotation = ((Math.round(-parseFloat(displayMatrix[1])) % 360) + 360) % 360;
+    } else if (/^\s*alpha_mode\s*:\s*1/i.test(line)) {
+      // VP8/VP9 WebM keeps alpha in a side channel; the pixel format says yuv420p
+      mediaInfo.hasAlpha = true;
+    }
+  }
+
+  if ((mediaInfo.rotation === 90 || mediaInfo.rotation === 270) && mediaInfo.width) {
+    [mediaInfo.width, mediaInfo.height] = [mediaInfo.height, mediaInfo.width];
+  }
+
+  return mediaInfo;
+};
+
+// Frame count and end time from the final progress line of a "-f null" decode
+const parseDecodeStats = (lines) => {
+  const log = lines.join('\n');
+  const frames = [...log.matchAll(/frame=\s*(\d+)/g)];
+  const times = [...log.matchAll(/time=\s*(\d+:\d+:[\d.]+)/g)];
+  if (frames.length === 0 || times.length === 0) return null;
+
+  return {
+    frameCount: parseInt(frames[frames.length - 1][1]),
+    duration: parseTimestamp(times[times.length - 1][1])
+  };
+};
+
+// Sources with more frames than this are only decoded in windows around the playhead;
+// shorter ones are decoded whole up front (and re-decoded where the frame budget releases them)
+const FULL_DECODE_FRAME_LIMIT = 300;
+
+// Frame rate assumed when neither FFmpeg nor the probe reports one
+const DEFAULT_EXTRACTION_FPS = 15;
+
+// Tolerance when matching a playback time to a frame timestamp
+const FRAME_TIME_EPSILON = 0.0001;
+
+// Per-frame timing from the showinfo filter, with times relative to the first frame:
+// "[Parsed_showinfo_0 @ 0x...] n:   3 pts:   1200 pts_time:0.12 duration:  300 duration_time:0.03 ..."
+const parseShowinfoLog = (lines) => {
+  const frameTimes = [];
+  for (const line of lines) {
+    const match = /\bn:\s*(\d+)\s+pts:\s*-?\d+\s+pts_time:\s*(-?[\d.e+-]+)/.exec(line);
+    if (!match) continue;
+    const duration = /duration_time:\s*([\d.e+-]+)/.exec(line);
+    frameTimes[parseInt(match[1])] = {
+      pts: parseFloat(match[2]),
+      duration: duration ? parseFloat(duration[1]) : null
+    };
+  }
+
+  const start = frameTimes[0]?.pts || 0;
+  return frameTimes.map(frame => frame && { ...frame, start, time: Math.max(0, Math.round((frame.pts - start) * 1e6) / 1e6) });
+};
+
+// True when frame intervals differ by more than a millisecond
+const hasVariableTiming = (frames) => {
+  for (let i = 2; i < frames.length; i++) {
+    const previous = frames[i - 1].timestamp - frames[i - 2].timestamp;
+    if (Math.abs(frames[i].timestamp - frames[i - 1].timestamp - previous) > 0.001) return true;
+  }
+  return false;
+};
+
+const DEFAULT_ITEM_BOX = 320;
+
+// Default on-canvas size for a new timeline item: the media's own aspect ratio,
+// scaled down to fit DEFAULT_ITEM_BOX. Falls back to the old fixed sizes when the
+// media was never probed (e.g. projects saved before probing existed).
+
+export const getDefaultItemSize = (sourceItem) => {
+  const width = sourceItem.mediaInfo?.width || (sourceItem.source === 'tenor' ? sourceItem.width : null);
+  const height = sourceItem.mediaInfo?.height || (sourceItem.source === 'tenor' ? sourceItem.height : null);
+
+  if (width > 0 && height > 0) {
+    const scale = Math.min(1, DEFAULT_ITEM_BOX / width, DEFAULT_ITEM_BOX / height);
+    return { width: Math.round(width * scale), height: Math.round(height * scale) };
+  }
+
+  const isMoving = sourceItem.type === 'video' || sourceItem.subtype === 'gif' || sourceItem.subtype === 'sticker';
+  return isMoving ? { width: 320, height: 180 } : { width: 200, height: 150 };
+};
 
 export class MediaProcessor {
   constructor() {
@@ -7,6 +225,26 @@ export class MediaProcessor {
     this.isInitialized = false;
     this.frameCache = new Map();
     this.processingLocks = new Map(); // Track which items are currently processing
+    this.extractionQueue = Promise.resolve(); // Extractions share one FFmpeg filesystem, so run them one at a time
+    this.streams = new Map(); // FrameStream by media item ID - every animated source
+    this.frameBudget = new FrameBudget(); // Memory limit shared by all streams' decoded frames and still images
+    this.nextStreamId = 0;
+    this.nextReaderId = 0;
+    this.framesLoadedListeners = new Set();
+    this.frameRenderers = 0; // FrameRenderers (exports) reading cached frames - rescaling must not swap them meanwhile
+  }
+
+  // Run an FFmpeg job after the ones already queued
+  enqueue(task) {
+    const job = this.extractionQueue.then(task);
+    this.extractionQueue = job.catch(() => {});
+    return job;
+  }
+
+  // Called whenever a streamed source finishes decoding a chunk, so views can redraw
+  onFramesLoaded(listener) {
+    this.framesLoadedListeners.add(listener);
+    return () => this.framesLoadedListeners.delete(listener);
   }
 
   async initialize() {
@@ -49,7 +287,8 @@ export class MediaProcessor {
     }
 
     // Create a processing promise and store it as a lock
-    const processingPromise = this.doExtractFrames(mediaItem, onProgress);
+    const processingPromise = this.extractionQueue.then(() => this.doExtractFrames(mediaItem, onProgress));
+    this.extractionQueue = processingPromise.catch(() => {});
     this.processingLocks.set(mediaItem.id, processingPromise);
 
     try {
@@ -68,10 +307,14 @@ export class MediaProcessor {
   async doExtractFrames(mediaItem, onProgress) {
     const cacheKey = `${mediaItem.id}_frames`;
 
-    // For MP4s, just use FFmpeg with simple settings - browser video seeking is too unreliable
-    if (mediaItem.type === 'video' && this.getFileExtension(mediaItem) === 'mp4') {
-      // console.log('Using FFmpeg for MP4 processing (reliable approach):', mediaItem.name);
-      // Continue with regular FFmpeg processing below
+    // Decode natively with WebCodecs where the browser supports the format; FFmpeg handles the rest
+    if (this.isAnimatedItem(mediaItem) && WebCodecsSource.isSupported()) {
+      const frameData = await this.extractFramesWithWebCodecs(mediaItem, onProgress);
+      if (frameData) {
+        this.frameCache.set(cacheKey, frameData);
+        onProgress?.(100, `Frames extracted from ${mediaItem.name}`);
+        return frameData;
+      }
     }
     
     await this.initialize();
@@ -119,18 +362,43 @@ export class MediaProcessor {
       
       // Extract frames based on media type
       let frameData;
-      if (mediaItem.type === 'video' || mediaItem.subtype === 'gif' || mediaItem.subtype === 'webp' || mediaItem.subtype === 'sticker') {
-        frameData = await this.extractVideoFrames(inputFileName, outputPattern, mediaItem, onProgress);
+      if (this.isAnimatedItem(mediaItem)) {
+        let mediaInfo = mediaItem.mediaInfo || null;
+        if (!mediaInfo) {
+          try {
+            mediaInfo = await this.getMediaInfo(inputFileName);
+          } catch (probeError) {
+            console.warn('Could not probe', mediaItem.name, probeError);
+          }
+        }
+
+        // Long (or unmeasurable) sources are indexed now and decoded around the playhead later
+        const estimatedFrames = mediaInfo?.frameCount || (mediaInfo?.duration || 0) * (mediaInfo?.fps || 0);
+        if (!(estimatedFrames > 0 && estimatedFrames <= FULL_DECODE_FRAME_LIMIT)) {
+          frameData = await this.createFrameStream(inputFileName, mediaItem, mediaInfo);
+        }
+        if (!frameData) {
+          const extracted = await this.extractVideoFrames(inputFileName, outputPattern, mediaItem, mediaInfo, onProgress);
+          // Streamed from the start, so the frame budget can release these frames and decode them again later
+          frameData = await this.streamFromFile(inputFileName, mediaItem, {
+            frames: extracted.frames.map(({ index, timestamp }) => ({ index, timestamp })),
+            duration: extracted.duration,
+            decoded: extracted.frames.map(({ url, size, timestamp }) => ({ time: timestamp, url, size }))
+          });
+        }
       } else {
         // Static image - create single frame
         frameData = await this.extractStaticFrame(inputFileName, 'static.png');
+        this.addStaticFrameToBudget(mediaItem.id, frameData);
       }
       
-      // Clean up input file
-      try {
-        await this.ffmpeg.deleteFile(inputFileName);
-      } catch (deleteError) {
-        console.warn('Could not delete input file:', deleteError);
+      // Clean up input file (streamed sources moved it and keep it until their cache is cleared)
+      if (!frameData.streaming) {
+        try {
+          await this.ffmpeg.deleteFile(inputFileName);
+        } catch (deleteError) {
+          console.warn('Could not delete input file:', deleteError);
+        }
       }
       
       // Cache the result
@@ -157,6 +425,57 @@ export class MediaProcessor {
     }
   }
 
+  isAnimatedItem(mediaItem) {
+    return mediaItem.type === 'video' || mediaItem.subtype === 'gif' || mediaItem.subtype === 'webp' || mediaItem.subtype === 'sticker';
+  }
+
+  // Frame data streamed through WebCodecs, with short sources decoded whole up front.
+  // Returns null when FFmpeg should be used instead: unsupported format, or a decoding error (logged).
+  async extractFramesWithWebCodecs(mediaItem, onProgress) {
+    let source = null;
+    try {
+      let blob;
+      if (mediaItem.file && mediaItem.file instanceof File) {
+        blob = mediaItem.file;
+      } else if (mediaItem.url) {
+        const response = await fetch(mediaItem.url);
+        if (!response.ok) return null;
+        blob = await response.blob();
+      } else {
+        return null;
+      }
+
+      source = await WebCodecsSource.open(blob, {
+        extension: this.getFileExtension(mediaItem),
+        mediaInfo: mediaItem.mediaInfo
+      });
+      if (!source) return null;
+
+      let decoded = [];
+      if (source.frames.length <= FULL_DECODE_FRAME_LIMIT) {
+        onProgress?.(20, `Decoding ${mediaItem.name}...`);
+        decoded = await source.decodeRange(0, source.duration);
+        if (decoded.length === 0) {
+          source.close();
+          return null;
+        }
+      }
+
+      // console.log(`⚡ WebCodecs ${mediaItem.name}: ${source.frames.length} frames, ${decoded.length} decoded`);
+      return this.startFrameStream(mediaItem, {
+        frames: source.frames,
+        duration: source.duration,
+        decoded,
+        decodeRange: (start, length, shouldDecode) => source.decodeRange(start, length, shouldDecode),
+        onDispose: () => source.close()
+      });
+    } catch (error) {
+      console.warn('WebCodecs decoding failed for', mediaItem.name, '- falling back to FFmpeg:', error);
+      source?.close();
+      return null;
+    }
+  }
+
   // Native browser-based frame extraction for MP4s
   async extractFramesNative(mediaItem, onProgress) {
     try {
@@ -345,37 +664,78 @@ export class MediaProcessor {
     }
   }
 
+  // Probe an uploaded file: duration, native fps, display size, codec, pixel format
+  // (alpha), rotation and the first audio stream. Shares the extraction queue since
+  // it writes into the same FFmpeg filesystem.
+  async probeFile(file) {
+    return this.enqueue(() => this.doProbeFile(file));
+  }
+
+  async doProbeFile(file) {
+    await this.initialize();
+
+    // Keep the real extension - FFmpeg picks some demuxers (image2, raw streams) by name
+    const extension = /\.([a-z0-9]+)$/i.exec(file.name)?.[1].toLowerCase() || 'bin';
+    const fileName = `probe.${extension}`;
+
+    await this.ffmpeg.writeFile(fileName, await fetchFile(file));
+    try {
+      return await this.getMediaInfo(fileName);
+    } finally {
+      try {
+        await this.ffmpeg.deleteFile(fileName);
+      } catch (deleteError) {
+        console.warn('Could not delete probe file:', deleteError);
+      }
+    }
+  }
+
+  // Read media info for a file already in FFmpeg's filesystem by parsing its log output
   async getMediaInfo(fileName) {
+    const lines = [];
+    const handleLog = ({ message }) => lines.push(message);
+    this.ffmpeg.on('log', handleLog);
+
     try {
-      // console.log('Getting media info for:', fileName);
-      
-      // Use ffprobe to get media information
-      await this.ffmpeg.exec([
-        '-i', fileName,
-        '-f', 'null', '-'
-      ]);
-      
-    } catch (error) {
-      // FFmpeg outputs info to stderr even on success, so we expect this to "fail"
-      // This is normal behavior - the media info is in the stderr output
-      // console.log('FFmpeg info command completed (expected "error")', fileName);
+      // With no output FFmpeg prints the input's streams and exits with an error code, which is expected
+      await this.ffmpeg.exec(['-hide_banner', '-i', fileName]);
+      const mediaInfo = parseMediaInfoLog(lines);
+
+      // GIFs, still images and raw streams have no duration header - decode the video once to measure it
+      if (!mediaInfo.duration && mediaInfo.codec) {
+        lines.length = 0;
+        await this.ffmpeg.exec(['-hide_banner', '-i', fileName, '-map', '0:v:0', '-f', 'null', '-']);
+        const stats = parseDecodeStats(lines);
+        if (stats) {
+          mediaInfo.duration = stats.duration;
+          mediaInfo.frameCount = stats.frameCount;
+          if (!mediaInfo.fps && stats.duration > 0 && stats.frameCount > 1) {
+            mediaInfo.fps = stats.frameCount / stats.duration;
+          }
+        }
+      }
+
+      if (!mediaInfo.codec && !mediaInfo.audio) {
+        throw new Error(`FFmpeg found no audio or video streams in ${fileName}`);
+      }
+
+      // console.log('📋 Media info for', fileName, mediaInfo);
+      return mediaInfo;
+    } finally {
+      this.ffmpeg.off('log', handleLog);
     }
-    
-    // For now, return default values - in a full implementation you'd parse the output
-    // These defaults should work for most media types
-    const mediaInfo = {
-      duration: 3.0, // Default duration
-      fps: 10, // Default frame rate
-      width: 400,
-      height: 300
-    };
-    
-    // console.log('Using default media info for:', fileName, mediaInfo);
-    return mediaInfo;
   }
 
-  async extractVideoFrames(inputFileName, outputPattern, mediaItem, onProgress) {
-    const targetFPS = 15; // 15 FPS for smoother playback
+  // Decode every frame of a short source up front
+  async extractVideoFrames(inputFileName, outputPattern, mediaItem, mediaInfo, onProgress) {
+    // Keep every source frame with its own timestamp so 50fps GIFs stay smooth and uneven
+    // GIF delays / variable frame rate video play as authored
+    const frameArgs = ['-vf', 'showinfo', '-vsync', 'passthrough'];
+
+    // showinfo logs each output frame's pts_time, in the same order frames are written
+    const logLines = [];
+    const handleLog = ({ message }) => logLines.push(message);
+    this.ffmpeg.on('log', handleLog);
     
     try {
       // console.log('Starting frame extraction for:', mediaItem.name, 'Input file:', inputFileName);
@@ -388,7 +748,7 @@ export class MediaProcessor {
         // Simple, direct MP4 frame extraction
         const directArgs = [
           '-i', inputFileName,
-          '-vf', `fps=${targetFPS}`, // Direct FPS conversion
+          ...frameArgs,
           '-f', 'image2',
           '-pix_fmt', 'rgba',
           '-q:v', '2', // High quality
@@ -410,7 +770,7 @@ export class MediaProcessor {
         // Standard processing for other formats
         const ffmpegArgs = [
           '-i', inputFileName,
-          '-vf', `fps=${targetFPS}`,
+          ...frameArgs,
           '-f', 'image2',
           '-pix_fmt', 'rgba',
           '-y',
@@ -431,7 +791,12 @@ export class MediaProcessor {
     } catch (ffmpegError) {
       console.error('FFmpeg execution failed for:', mediaItem.name, ffmpegError);
       throw new Error(`FFmpeg frame extraction failed: ${ffmpegError.message || ffmpegError}`);
+    } finally {
+      this.ffmpeg.off('log', handleLog);
     }
+
+    const frameTimes = parseShowinfoLog(logLines);
+    const nominalFPS = mediaInfo?.fps || DEFAULT_EXTRACTION_FPS;
     
     // Read extracted frames using the same pattern
     const frames = [];
@@ -459,7 +824,8 @@ export class MediaProcessor {
         frames.push({
           index: frameIndex - 1,
           url: frameUrl,
-          timestamp: (frameIndex - 1) / targetFPS
+          size: frameData.byteLength,
+          timestamp: frameTimes[frameIndex - 1]?.time ?? (frameIndex - 1) / nominalFPS
         });
         
         // Clean up frame file immediately after reading
@@ -476,12 +842,6 @@ export class MediaProcessor {
             onProgress(20 + (frameIndex * 60 / 100), `Processed ${frameIndex} frames for ${mediaItem.name}...`);
           }
           
-          // Safety limit to prevent infinite loops
-          if (frameIndex > 1000) {
-            console.warn('Frame extraction limit reached (1000 frames) for:', mediaItem.name);
-            break;
-          }
-          
         } catch (readError) {
           // Expected when no more frames - this is normal end condition
           // console.log('No more frames to read for:', mediaItem.name, 'Total frames:', frameIndex - 1);
@@ -496,21 +856,191 @@ export class MediaProcessor {
     if (frames.length === 0) {
       throw new Error(`No frames were extracted from ${mediaItem.name}. The file may be corrupted or in an unsupported format.`);
     }
+
+    // Frames are shown until the next one starts. The last one lasts its own duration if
+    // FFmpeg reported it, otherwise until the end of the source (GIFs often hold their last
+    // frame), otherwise an average frame. An audio stream can outlast the video, so the
+    // container duration is only trusted for video-only sources.
+    const lastFrame = frames[frames.length - 1];
+    const averageFrameTime = frames.length > 1 ? lastFrame.timestamp / (frames.length - 1) : 1 / nominalFPS;
+    const sourceEnd = mediaInfo?.duration && !mediaInfo.audio
+      ? mediaInfo.duration - (frameTimes[0]?.start || 0)
+      : null;
+    let lastFrameDuration = frameTimes[frames.length - 1]?.duration || (sourceEnd ? sourceEnd - lastFrame.timestamp : 0);
+    if (!(lastFrameDuration > 0)) {
+      lastFrameDuration = averageFrameTime;
+    }
+    const actualDuration = lastFrame.timestamp + lastFrameDuration;
     
-    // Calculate actual duration based on extracted frames
-    const actualDuration = frames.length / targetFPS;
-    
-    // console.log(`Successfully extracted ${frames.length} frames from ${mediaItem.name} at ${targetFPS} FPS, duration: ${actualDuration}s`);
+    // console.log(`Successfully extracted ${frames.length} frames from ${mediaItem.name}, duration: ${actualDuration}s`);
     
     return {
       type: 'animated',
       frames,
-      duration: actualDuration, // Use actual duration from frame count
-      fps: targetFPS,
-      frameCount: frames.length
+      duration: actualDuration,
+      fps: frames.length / actualDuration, // Average rate; lookups use the frame timestamps
+      frameCount: frames.length,
+      isVariableFrameRate: hasVariableTiming(frames)
     };
   }
 
+  // Index a long source and return frame data whose images are decoded on demand by a
+  // FrameStream. Returns null if the source can't be indexed, so it is decoded whole instead.
+  async createFrameStream(inputFileName, mediaItem, mediaInfo) {
+    const index = await this.buildFrameIndex(inputFileName, mediaInfo);
+    if (!index) return null;
+
+    // console.log(`📼 Streaming ${mediaItem.name}: ${index.frames.length} frames, ${index.duration.toFixed(2)}s`);
+    return this.streamFromFile(inputFileName, mediaItem, index);
+  }
+
+  // Stream frames decoded by FFmpeg. The source stays in FFmpeg's filesystem for as long as
+  // frames may be decoded from it; `decoded` are frames extracted already.
+  async streamFromFile(inputFileName, mediaItem, { frames, duration, decoded }) {
+    const extension = inputFileName.split('.').pop();
+    const streamFileName = `stream_${this.nextStreamId++}.${extension}`;
+    await this.ffmpeg.rename(inputFileName, streamFileName);
+
+    return this.startFrameStream(mediaItem, {
+      frames,
+      duration,
+      decoded,
+      decodeRange: (start, length, shouldDecode) => this.enqueue(() => (
+        shouldDecode() ? this.decodeFrameRange(streamFileName, start, length) : null
+      )),
+      onDispose: () => this.enqueue(() => this.ffmpeg.deleteFile(streamFileName)).catch((deleteError) => {
+        console.warn('Could not delete stream file:', streamFileName, deleteError);
+      })
+    });
+  }
+
+  // A still image's frame counts against the frame budget like streamed frames, but is kept
+  // whatever the budget - it cannot be decoded again once released
+  addStaticFrameToBudget(mediaItemId, frameData) {
+    frameData.budgetKey = `static:${mediaItemId}`;
+    this.frameBudget.add(frameData.budgetKey, {
+      bytes: frameData.frames.reduce((total, frame) => total + (frame.size || 0), 0),
+      frames: frameData.frames.length,
+      release: () => {},
+      isPinned: () => true
+    });
+  }
+
+  // Register a FrameStream for the item (replacing any previous one) and return its frame data
+  startFrameStream(mediaItem, { frames, duration, decoded, decodeRange, onDispose }) {
+    this.streams.get(mediaItem.id)?.dispose();
+    const stream = new FrameStream({
+      id: `${mediaItem.id}#${this.nextStreamId++}`,
+      frames,
+      duration,
+      decoded,
+      decodeRange,
+      onChunkLoaded: () => this.framesLoadedListeners.forEach(listener => listener(mediaItem.id)),
+      onDispose,
+      budget: this.frameBudget
+    });
+    this.streams.set(mediaItem.id, stream);
+
+    return {
+      type: 'animated',
+      streaming: true,
+      frames: stream.frames,
+      duration,
+      fps: frames.length / duration, // Average rate; lookups use the frame timestamps
+      frameCount: frames.length,
+      isVariableFrameRate: hasVariableTiming(frames)
+    };
+  }
+
+  // Timestamp of every video frame without decoding: copy the packets into a framecrc
+  // listing ("stream, dts, pts, duration, size, hash" per packet) and sort by pts.
+  // Falls back to a constant-rate index from the probed duration and fps.
+  async buildFrameIndex(inputFileName, mediaInfo) {
+    const indexFileName = 'frame_index.txt';
+    let frames = [];
+    let duration = 0;
+
+    try {
+      await this.ffmpeg.exec(['-i', inputFileName, '-map', '0:v:0', '-c', 'copy', '-f', 'framecrc', '-y', indexFileName]);
+      const listing = new TextDecoder().decode(await this.ffmpeg.readFile(indexFileName));
+      await this.ffmpeg.deleteFile(indexFileName);
+
+      const timeBase = /^#tb 0: (\d+)\/(\d+)/m.exec(listing);
+      const scale = timeBase ? parseInt(timeBase[1]) / parseInt(timeBase[2]) : 0;
+      const packets = [...listing.matchAll(/^0,\s*-?\d+,\s*(-?\d+),\s*(\d+),/gm)]
+        .map(match => ({ pts: parseInt(match[1]) * scale, duration: parseInt(match[2]) * scale }))
+        .filter(packet => packet.pts > -1e9) // Packets without a pts
+        .sort((a, b) => a.pts - b.pts);
+
+      if (scale > 0 && packets.length > 0) {
+        const start = packets[0].pts;
+        frames = packets.map((packet, index) => ({ index, timestamp: Math.round((packet.pts - start) * 1e6) / 1e6 }));
+        const last = packets[packets.length - 1];
+        const averageFrameTime = packets.length > 1 ? (last.pts - start) / (packets.length - 1) : 1 / DEFAULT_EXTRACTION_FPS;
+        duration = last.pts - start + (last.duration > 0 ? last.duration : averageFrameTime);
+      }
+    } catch (indexError) {
+      console.warn('Could not index frames of', inputFileName, indexError);
+    }
+
+    if (frames.length === 0 && mediaInfo?.duration > 0 && mediaInfo?.fps > 0) {
+      const frameCount = Math.max(1, Math.round(mediaInfo.duration * mediaInfo.fps));
+      frames = Array.from({ length: frameCount }, (_, index) => ({ index, timestamp: index / mediaInfo.fps }));
+      duration = mediaInfo.duration;
+    }
+
+    return frames.length > 0 ? { frames, duration } : null;
+  }
+
+  // Decode [start, start + length) seconds of a streamed source into PNG blob URLs with
+  // their source timestamps and sizes. Input seeking makes output timestamps relative to `start`.
+  async decodeFrameRange(fileName, start, length) {
+    const outputPattern = 'chunk_%04d.png';
+    const logLines = [];
+    const handleLog = ({ message }) => logLines.push(message);
+    this.ffmpeg.on('log', handleLog);
+
+    try {
+      await this.ffmpeg.exec([
+        '-ss', start.toFixed(3),
+        '-i', fileName,
+        '-t', length.toFixed(3),
+        '-map', '0:v:0',
+        '-vf', 'showinfo',
+        '-vsync', 'passthrough',
+        '-f', 'image2',
+        '-pix_fmt', 'rgba',
+        '-y',
+        outputPattern
+      ]);
+    } finally {
+      this.ffmpeg.off('log', handleLog);
+    }
+
+    const frameTimes = parseShowinfoLog(logLines);
+    const frames = [];
+    for (let frameIndex = 1; ; frameIndex++) {
+      const frameName = outputPattern.replace('%04d', frameIndex.toString().padStart(4, '0'));
+      let frameData;
+      try {
+        frameData = await this.ffmpeg.readFile(frameName);
+        await this.ffmpeg.deleteFile(frameName);
+      } catch (readError) {
+        break; // No more frames
+      }
+
+      const pts = frameTimes[frameIndex - 1]?.pts;
+      if (pts === undefined || !frameData?.byteLength) continue;
+      frames.push({
+        time: start + pts,
+        url: URL.createObjectURL(new Blob([frameData.buffer], { type: 'image/png' })),
+        size: frameData.byteLength
+      });
+    }
+
+    return frames;
+  }
+
   async extractStaticFrame(inputFileName, outputName) {
     try {
       // console.log('Extracting static frame for:', inputFileName, 'Output:', outputName);
@@ -561,6 +1091,7 @@ export class MediaProcessor {
       frames: [{
         index: 0,
         url: frameUrl,
+        size: blob.size,
         timestamp: 0
       }],
       duration: 5, // Default duration for static images
@@ -664,22 +1195,26 @@ export class MediaProcessor {
       return null;
     }
     
-    // Use more precise frame index calculation to prevent flickering
-    // Round to nearest frame instead of flooring for better precision
-    const frameIndex = Math.round(time * frameData.fps);
-    const clampedIndex = Math.max(0, Math.min(frameIndex, frameData.frames.length - 1));
-    
-    // Add additional bounds checking
-    if (clampedIndex >= frameData.frames.length) {
-      return frameData.frames[frameData.frames.length - 1];
+    // Binary search for the last frame starting at or before this time, so preview and
+    // export follow the source's own (possibly uneven) frame timing
+    const frames = frameData.frames;
+    const target = time + FRAME_TIME_EPSILON;
+    let low = 0;
+    let high = frames.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (frames[mid].timestamp <= target) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
     }
     
-    // Return the frame if it exists, otherwise null
-    const selectedFrame = frameData.frames[clampedIndex];
+    const selectedFrame = frames[low];
     
     // Debug logging to track frame selection
     if (!selectedFrame) {
-      console.warn(`No frame found at index ${clampedIndex} for time ${time}, total frames: ${frameData.frames.length}`);
+      console.warn(`No frame found for time ${time}, total frames: ${frames.length}`);
     }
     
     return selectedFrame || null;
@@ -687,6 +1222,11 @@ export class MediaProcessor {
 
   // Create standardized media processor
   createProcessor(mediaItem, frameData) {
+    // Streamed sources decode around each processor's position, so every processor is its own reader
+    const stream = frameData.streaming ? this.streams.get(mediaItem.id) : null;
+    const readerId = this.nextReaderId++;
+    const getFrame = (time) => stream ? stream.getFrameAtTime(time, readerId) : this.getFrameAtTime(frameData, time);
+
     return {
       id: mediaItem.id,
       type: frameData.type,
@@ -694,15 +1234,22 @@ export class MediaProcessor {
       duration: frameData.duration,
       fps: frameData.fps,
       isAnimated: frameData.type === 'animated',
+      isStreaming: !!stream,
       originalFrames: frameData.frames, // Keep original frames for scaling
       
+      // Best frame available right now - for streamed sources possibly a nearby one while the exact frame decodes
       getCurrentFrame: (time) => {
-        return this.getFrameAtTime(frameData, time);
+        return getFrame(time);
+      },
+
+      // Exact frame at `time`, waiting for it to be decoded if necessary
+      loadFrame: async (time) => {
+        return stream ? stream.loadFrameAtTime(time, readerId) : this.getFrameAtTime(frameData, time);
       },
       
       // Get scaled frame at specific time
       getScaledFrame: async (time, targetWidth, targetHeight) => {
-        const frame = this.getFrameAtTime(frameData, time);
+        const frame = getFrame(time);
         if (!frame) return null;
         
         // If dimensions haven't changed, return original frame
@@ -751,7 +1298,7 @@ export class MediaProcessor {
       
       // Create image element for current frame
       createImageElement: (time) => {
-        const frame = this.getFrameAtTime(frameData, time);
+        const frame = getFrame(time);
         if (!frame) return null; // Return null if no frame available
         
         const img = new Image();
@@ -785,24 +1332,40 @@ export class MediaProcessor {
       const frameData = this.frameCache.get(cacheKey);
       // Clean up blob URLs to prevent memory leaks
       frameData.frames.forEach(frame => {
-        if (frame.url.startsWith('blob:')) {
+        if (frame.url?.startsWith('blob:')) {
           URL.revokeObjectURL(frame.url);
         }
       });
+      if (frameData.budgetKey) this.frameBudget.remove(frameData.budgetKey);
       this.frameCache.delete(cacheKey);
     }
+    // Streamed sources also release their file in FFmpeg's filesystem
+    this.streams.get(mediaItemId)?.dispose();
+    this.streams.delete(mediaItemId);
   }
 
   // Clear all cache
   clearAllCache() {
     this.frameCache.forEach((frameData, key) => {
       frameData.frames.forEach(frame => {
-        if (frame.url.startsWith('blob:')) {
+        if (frame.url?.startsWith('blob:')) {
           URL.revokeObjectURL(frame.url);
         }
       });
+      if (frameData.budgetKey) this.frameBudget.remove(frameData.budgetKey);
     });
     this.frameCache.clear();
+    this.streams.forEach(stream => stream.dispose());
+    this.streams.clear();
+  }
+
+  // Called by FrameRenderer while it renders from the cached frames, see rescaleFrames
+  retainFrames() {
+    this.frameRenderers++;
+  }
+
+  releaseFrames() {
+    this.frameRenderers = Math.max(0, this.frameRenderers - 1);
   }
 
   // Rescale existing frames to new dimensions (background processing)
@@ -814,6 +1377,11 @@ export class MediaProcessor {
     }
     
     const existingFrameData = this.frameCache.get(cacheKey);
+    // Streamed frames come and go with the playhead and the frame budget, so they are always scaled while drawing.
+    // While an export renders, its frames' URLs must stay valid - the preview scales while drawing meanwhile.
+    if (existingFrameData.streaming || this.frameRenderers > 0) {
+      return existingFrameData;
+    }
     // console.log(`🔄 Starting background rescaling for item ${mediaItemId} to ${targetWidth}x${targetHeight}`);
     
     return new Promise((resolve, reject) => {
@@ -821,6 +1389,7 @@ export class MediaProcessor {
         if (frameIndex >= existingFrameData.frames.length) {
           // All frames processed
           // console.log(`✅ Rescaling complete for item ${mediaItemId}`);
+          if (existingFrameData.budgetKey) this.addStaticFrameToBudget(mediaItemId, existingFrameData); // Charge the rescaled size
           onProgress?.(100, 'Rescaling complete');
           resolve(existingFrameData);
           return;
@@ -850,6 +1419,12 @@ export class MediaProcessor {
             
             // Convert to blob URL and replace the frame
             canvas.toBlob((blob) => {
+              // An export started meanwhile - keep the frames it may be reading
+              if (this.frameRenderers > 0) {
+                resolve(existingFrameData);
+                return;
+              }
+
               // Clean up old frame URL
               if (frame.url.startsWith('blob:')) {
                 URL.revokeObjectURL(frame.url);
@@ -857,6 +1432,7 @@ export class MediaProcessor {
               
               // Update frame with new scaled version
               frame.url = URL.createObjectURL(blob);
+              frame.size = blob.size;
               frame.scaledWidth = targetWidth;
               frame.scaledHeight = targetHeight;
               frame.isPreScaled = true;
@@ -1,7 +1,7 @@
 class ProjectManager {
   constructor() {
     this.dbName = 'PartyMakerProjects';
-    this.dbVersion = 1;
+    this.dbVersion = 2; // v2: export history stores
     this.db = null;
     this.undoStack = [];
     this.redoStack = [];
@@ -41,6 +41,17 @@ class ProjectManager {
         if (!db.objectStoreNames.contains('history')) {
           db.createObjectStore('history', { keyPath: 'sessionId' });
         }
+
+        // Store for past export records (settings, size, duration) - their files are in exportBlobs
+        if (!db.objectStoreNames.contains('exports')) {
+          const exportStore = db.createObjectStore('exports', { keyPath: 'id' });
+          exportStore.createIndex('createdAt', 'createdAt', { unique: false });
+        }
+
+        // Export files, kept apart from their records so the history lists without reading them
+        if (!db.objectStoreNames.contains('exportBlobs')) {
+          db.createObjectStore('exportBlobs', { keyPath: 'id' });
+        }
       };
     });
   }
@@ -340,6 +351,110 @@ class ProjectManager {
     }
   }
 
+  // Record an export output in the history
+  async saveExport({ blob, extension, format, codec = null, settings, duration, projectName = null }) {
+    await this.init();
+
+    try {
+      const id = `export_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+      const record = {
+        id,
+        extension,
+        format,
+        codec,
+        mimeType: blob.type,
+        size: blob.size,
+        duration,
+        settings, // { width, height, fps, alpha, backgroundColor, formatOptions, range }
+        projectName,
+        createdAt: Date.now()
+      };
+
+      await new Promise((resolve, reject) => {
+        const transaction = this.db.transaction(['exports', 'exportBlobs'], 'readwrite');
+        transaction.objectStore('exports').put(record);
+        transaction.objectStore('exportBlobs').put({ id, blob });
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Export history write aborted'));
+      });
+
+      return { success: true, exportId: id };
+
+    } catch (error) {
+      console.error('Error saving export to history:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Get export history, newest first. Records only - getExport() reads an export's blob.
+  async getExportList() {
+    await this.init();
+
+    try {
+      const transaction = this.db.transaction(['exports'], 'readonly');
+      const index = transaction.objectStore('exports').index('createdAt');
+
+      const exports = await new Promise((resolve, reject) => {
+        const request = index.getAll();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+
+      return exports.sort((a, b) => b.createdAt - a.createdAt);
+
+    } catch (error) {
+      console.error('Error getting export history:', error);
+      return [];
+    }
+  }
+
+  // Read the output file of an export in the history
+  async getExport(exportId) {
+    await this.init();
+
+    try {
+      const transaction = this.db.transaction(['exportBlobs'], 'readonly');
+
+      const entry = await new Promise((resolve, reject) => {
+        const request = transaction.objectStore('exportBlobs').get(exportId);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+
+      if (!entry) {
+        throw new Error('Export not found');
+      }
+
+      return { success: true, blob: entry.blob };
+
+    } catch (error) {
+      console.error('Error loading export:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Delete an export from the history
+  async deleteExport(exportId) {
+    await this.init();
+
+    try {
+      await new Promise((resolve, reject) => {
+        const transaction = this.db.transaction(['exports', 'exportBlobs'], 'readwrite');
+        transaction.objectStore('exports').delete(exportId);
+        transaction.objectStore('exportBlobs').delete(exportId);
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+      });
+
+      return { success: true };
+
+    } catch (error) {
+      console.error('Error deleting export:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   // Generate consistent project ID from name
   generateProjectId(name) {
     return name.toLowerCase().replace(/[^a-z0-9]/g, '_') + '_' + Date.now();
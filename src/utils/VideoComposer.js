@@ -1,12 +1,200 @@
 import { FFmpeg } from '@ffmpeg/ffmpeg';
 import { fetchFile, toBlobURL } from '@ffmpeg/util';
 import { MediaProcessor } from './MediaProcessor';
+import { FrameRenderer } from './FrameRenderer';
+import { ZipArchive } from './ZipArchive';
+
+// Video export targets: container, codecs and whether transparency can be kept
+export const EXPORT_FORMATS = {
+  webm: {
+    label: 'WebM',
+    videoCodec: 'VP9',
+    audioCodec: 'Vorbis',
+    extension: 'webm',
+    mimeType: 'video/webm',
+    audioArgs: ['-c:a', 'copy'], // Mixed audio is already Vorbis in WebM
+    supportsAlpha: true,
+    alphaLabel: 'VP9 alpha',
+    supportsAudio: true
+  },
+  mp4: {
+    label: 'MP4',
+    videoCodec: 'H.264',
+    audioCodec: 'AAC',
+    extension: 'mp4',
+    mimeType: 'video/mp4',
+    audioArgs: ['-c:a', 'aac', '-b:a', '192k'], // Vorbis is not allowed in MP4
+    supportsAlpha: false,
+    supportsAudio: true
+  },
+  gif: {
+    label: 'GIF',
+    videoCodec: 'GIF',
+    extension: 'gif',
+    mimeType: 'image/gif',
+    supportsAlpha: true, // 1-bit: one palette index is reserved for transparent pixels
+    alphaLabel: '1-bit transparency',
+    supportsAudio: false
+  },
+  webp: {
+    label: 'WebP',
+    videoCodec: 'WebP',
+    extension: 'webp',
+    mimeType: 'image/webp',
+    supportsAlpha: true,
+    alphaLabel: '8-bit alpha',
+    supportsAudio: false
+  },
+  apng: {
+    label: 'APNG',
+    videoCodec: 'APNG',
+    extension: 'png',
+    mimeType: 'image/apng',
+    supportsAlpha: true,
+    alphaLabel: '8-bit alpha',
+    supportsAudio: false
+  },
+  png_sequence: {
+    label: 'PNG Sequence',
+    videoCodec: 'PNG',
+    audioCodec: 'Vorbis',
+    extension: 'zip',
+    mimeType: 'application/zip',
+    supportsAlpha: true,
+    alphaLabel: 'RGBA PNG',
+    supportsAudio: true, // Mixed audio is bundled as a separate file
+    isImageSequence: true
+  },
+  // Audio-only mixdowns: the same mix that goes into the video, encoded on its own
+  wav: {
+    label: 'WAV',
+    audioCodec: 'PCM 16-bit',
+    extension: 'wav',
+    mimeType: 'audio/wav',
+    audioArgs: ['-c:a', 'pcm_s16le'],
+    supportsAlpha: false,
+    supportsAudio: true,
+    estimatedKbps: 1411, // 44.1 kHz stereo 16-bit
+    isAudioOnly: true
+  },
+  ogg: {
+    label: 'OGG',
+    audioCodec: 'Vorbis',
+    extension: 'ogg',
+    mimeType: 'audio/ogg',
+    audioArgs: ['-c:a', 'libvorbis', '-q:a', '6'],
+    supportsAlpha: false,
+    supportsAudio: true,
+    estimatedKbps: 192, // Vorbis -q:a 6 averages ~192 kbps
+    isAudioOnly: true
+  },
+  opus: {
+    label: 'Opus',
+    audioCodec: 'Opus',
+    extension: 'opus',
+    mimeType: 'audio/ogg',
+    audioArgs: ['-c:a', 'libopus', '-b:a', '160k'],
+    supportsAlpha: false,
+    supportsAudio: true,
+    estimatedKbps: 160,
+    isAudioOnly: true
+  },
+  mp3: {
+    label: 'MP3',
+    audioCodec: 'MP3',
+    extension: 'mp3',
+    mimeType: 'audio/mpeg',
+    audioArgs: ['-c:a', 'libmp3lame', '-q:a', '2'],
+    supportsAlpha: false,
+    supportsAudio: true,
+    estimatedKbps: 190, // LAME V2 averages ~190 kbps
+    isAudioOnly: true
+  },
+  stems: {
+    label: 'Stems',
+    audioCodec: 'PCM 16-bit WAV',
+    extension: 'zip',
+    mimeType: 'application/zip',
+    // One full-length WAV per timeline track; a fixed rate/layout keeps them aligned in a DAW
+    audioArgs: ['-c:a', 'pcm_s16le', '-ar', '48000', '-ac', '2'],
+    supportsAlpha: false,
+    supportsAudio: true,
+    estimatedKbps: 1536, // Per stem: 48 kHz stereo 16-bit
+    isAudioOnly: true,
+    isStems: true
+  }
+};
+
+// Format-specific export options and their defaults
+export const DEFAULT_FORMAT_OPTIONS = {
+  webm: {
+    targetSizeMB: null, // When set, VP9 is encoded in two passes at the bitrate that fits this size
+    rateControl: 'bitrate', // bitrate = average bitrate | crf = constant quality | cq = constrained quality (CRF capped at bitrateKbps)
+    bitrateKbps: 8000,
+    crf: 31, // 0-63, lower is better
+    deadline: 'realtime', // realtime | good | best
+    cpuUsed: null, // 0-8, higher is faster; null = 8 for realtime, 4 otherwise
+    keyframeInterval: null, // Seconds between keyframes; null lets the encoder decide
+    audioCodec: 'vorbis', // vorbis | opus
+    audioBitrate: 192 // kbps
+  },
+  gif: {
+    dither: 'sierra2_4a', // none | bayer | floyd_steinberg | sierra2 | sierra2_4a
+    loop: 0, // 0 = loop forever, -1 = play once, N = repeat N times
+    maxFps: 25, // GIF delays are in 1/100s and most viewers clamp fast frames
+    alphaThreshold: 128 // Pixels with alpha below this map to the transparent palette index
+  },
+  webp: {
+    quality: 80, // 0-100: visual quality when lossy, compression effort when lossless
+    lossless: false,
+    loop: 0 // 0 = loop forever, N = play N times
+  },
+  apng: {
+    quality: 80, // 0-100: palette size when lossy (lossy APNG is quantized to 256 colours)
+    lossless: true,
+    loop: 0 // 0 = loop forever, N = play N times
+  }
+};
+
+// Intermediate files an export can leave in FFmpeg's in-memory filesystem
+const INTERMEDIATE_FILE_PATTERNS = [
+  /^export_frame_\d+\.png$/,
+  /^(video|final|rendered_video)\.\w+$/,
+  /^audio(_\d+)?\.\w+$/,
+  /^(mixed|stem)_audio\.\w+$/,
+  /^(temp_video|extracted_audio)_\d+\.\w+$/,
+  /^(gif|apng)_palette\.png$/,
+  /^vp9_2pass.*\.log$/
+];
+
+const MIN_TARGET_VIDEO_KBPS = 20; // Below this VP9 output is unwatchable
+const ESTIMATE_SAMPLE_FRAMES = 24; // Frames rendered and encoded by the export estimate benchmark
+const DEFAULT_AUDIO_KBPS = 192; // Soundtrack bitrate for formats without an audio bitrate option
+const CONTAINER_OVERHEAD = 0.04; // Share of the target size reserved for WebM muxing overhead
+
+export const MAX_EXPORT_FPS = 60; // Highest frame rate the export settings and queue jobs accept
+
+// Thrown by exportVideo when the user cancels, so callers can tell it apart from failures
+export class ExportCancelledError extends Error {
+  constructor() {
+    super('Export cancelled');
+    this.name = 'ExportCancelledError';
+  }
+}
 
 export class VideoComposer {
   constructor() {
     this.ffmpeg = null;
     this.initialized = false;
     this.mediaProcessor = new MediaProcessor();
+    this.isExporting = false;
+    this.cancelRequested = false;
+    this.runningExecs = 0; // FFmpeg commands currently in flight
+    this.benchmark = null; // Running estimate benchmark - exports wait for it to release FFmpeg
+    this.isEstimating = false;
+    this.estimateCancelled = false; // The benchmark's own cancel flag, so it never reads or writes the export's
+    this.estimateGeneration = 0; // Bumped by every estimate request - only the latest one runs
+    this.estimateCache = new Map(); // Benchmark key -> per-frame measurement, see runEstimateBenchmark
   }
 
   async initialize() {
@@ -30,10 +218,81 @@ export class VideoComposer {
     }
   }
 
-  async exportVideo({ mediaItems, duration, width = 1920, height = 1080, fps = 15, onProgress, onTimelineSeek }) {
+  // Run an FFmpeg command; tracked so cancelExport knows whether the core is busy
+  async exec(args) {
+    this.throwIfCancelled();
+    this.runningExecs++;
     try {
+      return await this.ffmpeg.exec(args);
+    } finally {
+      this.runningExecs--;
+    }
+  }
+
+  throwIfCancelled() {
+    if (this.isEstimating ? this.estimateCancelled : this.cancelRequested) {
+      throw new ExportCancelledError();
+    }
+  }
+
+  // Request cancellation of the running export. Loops stop at the next frame; a running
+  // ffmpeg.exec cannot be interrupted, so the core is terminated and reloaded on next use.
+  cancelExport() {
+    if (!this.isExporting) return;
+    this.cancelRequested = true;
+
+    if (this.runningExecs > 0 && this.ffmpeg) {
+      this.ffmpeg.terminate(); // Rejects the pending exec; the worker's filesystem goes with it
+      this.initialized = false;
+    }
+  }
+
+  // Delete every intermediate file an export may have written
+  async cleanupIntermediateFiles() {
+    if (!this.initialized) return; // Core was terminated, nothing left to clean
+
+    try {
+      const entries = await this.ffmpeg.listDir('/');
+      const leftovers = entries
+        .filter(entry => !entry.isDir && INTERMEDIATE_FILE_PATTERNS.some(pattern => pattern.test(entry.name)))
+        .map(entry => entry.name);
+      await this.cleanupAudioFiles(leftovers);
+    } catch (error) {
+      console.warn('Could not list FFmpeg files for cleanup:', error);
+    }
+  }
+
+  async exportVideo({
+    mediaItems,
+    duration,
+    width = 1920,
+    height = 1080,
+    compositionWidth = width,
+    compositionHeight = height,
+    fps = 15,
+    captureMode = 'offline', // 'offline' renders frame-by-frame, 'realtime' records the live canvas
+    format = 'webm', // Key of EXPORT_FORMATS
+    alpha = false, // Encode VP9 with a real alpha channel (yuva420p)
+    backgroundColor = '#000000', // Fill colour for formats without alpha
+    formatOptions = {}, // Overrides for DEFAULT_FORMAT_OPTIONS[format]
+    range = null, // { start, end } in/out points in seconds; null exports the whole timeline
+    trackAssignments = null, // Timeline track layout ({ videoTracks, audioTracks }) used for stems
+    onProgress,
+    onWarning,
+    onTimelineSeek
+  }) {
+    this.isExporting = true;
+    this.cancelRequested = false;
+
+    try {
+      // An estimate benchmark shares FFmpeg's file system - stop it at its next frame and let it finish
+      this.estimateCancelled = true;
+      await this.benchmark?.catch(() => {});
+
       // Ensure onProgress is callable
       const safeOnProgress = typeof onProgress === 'function' ? onProgress : () => {};
+      const safeOnWarning = typeof onWarning === 'function' ? onWarning : () => {};
+      const exportFormat = EXPORT_FORMATS[format];
       
       // Validate input parameters
       if (!duration || duration <= 0) {
@@ -45,7 +304,13 @@ export class VideoComposer {
       if (!mediaItems || mediaItems.length === 0) {
         throw new Error('No media items to export');
       }
-      if (!onTimelineSeek || typeof onTimelineSeek !== 'function') {
+      if (!exportFormat) {
+        throw new Error(`Unsupported export format: ${format}`);
+      }
+      if (captureMode === 'realtime' && format !== 'webm') {
+        throw new Error('Realtime canvas capture can only export WebM');
+      }
+      if (captureMode === 'realtime' && (!onTimelineSeek || typeof onTimelineSeek !== 'function')) {
         throw new Error('Timeline seek callback is required for canvas capture export');
       }
       
@@ -94,10 +359,22 @@ export class VideoComposer {
         }
       });
 
+      // Formats without an audio stream (GIF, WebP, APNG) skip every audio source
+      if (!exportFormat.supportsAudio && allAudioSources.length > 0) {
+        const skippedCount = allAudioSources.length;
+        safeOnWarning(`${skippedCount} audio track${skippedCount > 1 ? 's' : ''} skipped - ${exportFormat.label} has no audio`);
+        allAudioSources.length = 0;
+      }
+      if (!exportFormat.supportsAudio && visualItems.length === 0) {
+        throw new Error(`Nothing to export - ${exportFormat.label} needs at least one visual item`);
+      }
+
       // FIXED: Calculate exact export duration based on the last media item end time
       // This prevents blank frames and creates perfect loops
       // Include ALL media items: original mediaItems + virtual video audio items
-      const allMediaForDuration = [...mediaItems, ...allAudioSources.filter(item => item.isVideoAudio)];
+      const allMediaForDuration = exportFormat.supportsAudio
+        ? [...mediaItems, ...allAudioSources.filter(item => item.isVideoAudio)]
+        : visualItems;
       let actualDuration = 0; // Start from zero instead of timeline duration
       
       // Find the latest end time from ALL media items (visual + audio + virtual video audio)
@@ -111,50 +388,882 @@ export class VideoComposer {
         // console.log('📏 No media items found, using timeline duration:', actualDuration);
       }
 
-      // STEP 1: Canvas Capture → Video
-      // console.log('📹 STEP 1: Capturing video from canvas...');
-      const videoBlob = await this.captureCanvasVideo({ 
-        width, height, fps, duration: actualDuration, onTimelineSeek, onProgress: (progress, status) => {
-          safeOnProgress(progress * 0.6, status); // 0-60% for video capture
-        }
-      });
+      // In/out points: only [rangeStart, rangeEnd] of the timeline is exported, and the
+      // output starts at rangeStart. A missing out point means "until the end".
+      const rangeStart = range ? Math.min(Math.max(0, range.start || 0), actualDuration) : 0;
+      const rangeEnd = range && range.end != null
+        ? Math.min(Math.max(rangeStart, range.end), actualDuration)
+        : actualDuration;
+      const exportDuration = rangeEnd - rangeStart;
+      if (exportDuration <= 0) {
+        throw new Error('Export range is empty - move the in point before the out point');
+      }
+      const rangeVisualItems = this.shiftItemsToRange(visualItems, rangeStart, rangeEnd);
+      const rangeAudioSources = this.shiftItemsToRange(allAudioSources, rangeStart, rangeEnd);
+
+      // Target file size: derive the VP9 bitrate from the size budget, duration and audio bitrate
+      const resolvedFormatOptions = { ...DEFAULT_FORMAT_OPTIONS[format], ...formatOptions };
+      let audioBitrate = resolvedFormatOptions.audioBitrate || DEFAULT_AUDIO_KBPS;
+      let targetBytes = null;
+      if (format === 'webm' && captureMode !== 'realtime' && resolvedFormatOptions.targetSizeMB > 0) {
+        targetBytes = Math.round(resolvedFormatOptions.targetSizeMB * 1024 * 1024);
+        const bitrates = this.calculateTargetBitrates({
+          targetBytes,
+          duration: exportDuration,
+          hasAudio: rangeAudioSources.length > 0,
+          maxAudioKbps: audioBitrate
+        });
+        audioBitrate = bitrates.audioKbps;
+        resolvedFormatOptions.videoBitrate = bitrates.videoKbps;
+        safeOnProgress(0, `Targeting ${resolvedFormatOptions.targetSizeMB} MB: video ${bitrates.videoKbps} kbps, audio ${bitrates.audioKbps} kbps`);
+      }
+
+      // Audio-only formats skip the video steps and encode the mix straight to the output codec
+      if (exportFormat.isAudioOnly) {
+        const audioBlob = exportFormat.isStems
+          ? await this.exportAudioStems({
+              audioSources: rangeAudioSources,
+              trackAssignments,
+              duration: exportDuration,
+              exportFormat,
+              onProgress: safeOnProgress
+            })
+          : await this.exportAudioMix({
+              audioItems: rangeAudioSources,
+              duration: exportDuration,
+              exportFormat,
+              onProgress: safeOnProgress
+            });
+        this.throwIfCancelled();
+        safeOnProgress(100, 'Export complete! 🎉');
+        return { url: URL.createObjectURL(audioBlob), blob: audioBlob, extension: exportFormat.extension, codec: exportFormat.audioCodec };
+      }
+
+      // STEP 1: Frame Rendering → Video
+      // Offline rendering draws every frame at its exact timestamp, so the output always
+      // has duration * fps frames. Realtime capture is kept as a fallback path.
+      const onVideoProgress = (progress, status) => {
+        // 0-60% for video capture, or the whole bar when there is no audio step
+        safeOnProgress(progress * (exportFormat.supportsAudio ? 0.6 : 1), status);
+      };
+      if (alpha && captureMode === 'realtime') {
+        // MediaRecorder drops alpha in every browser, so be honest about the result
+        console.warn('⚠️ Realtime capture cannot preserve alpha - exporting without transparency');
+      }
+      const renderOptions = {
+        mediaItems: rangeVisualItems,
+        width,
+        height,
+        compositionWidth,
+        compositionHeight,
+        fps,
+        duration: exportDuration,
+        alpha,
+        backgroundColor,
+        onProgress: onVideoProgress
+      };
+      const sequenceArchive = exportFormat.isImageSequence
+        ? await this.renderPngSequenceArchive(renderOptions)
+        : null;
+      const videoBlob = sequenceArchive ? null : captureMode === 'realtime'
+        ? await this.captureCanvasVideo({
+            width,
+            height,
+            fps,
+            duration: exportDuration,
+            timelineStart: rangeStart,
+            videoBitsPerSecond: (resolvedFormatOptions.bitrateKbps || 8000) * 1000,
+            onTimelineSeek,
+            onProgress: onVideoProgress
+          })
+        : await this.renderCompositionVideo({
+            ...renderOptions,
+            format,
+            formatOptions: resolvedFormatOptions
+          });
       
       // console.log('✅ STEP 1 Complete - Video captured:', videoBlob.size, 'bytes');
 
+      this.throwIfCancelled();
+
       // STEP 2: Audio Mixing → Single Audio Track  
+      // WebM can carry Opus instead of the default Vorbis mix; it is copied into the video as-is
+      const useOpus = format === 'webm' && resolvedFormatOptions.audioCodec === 'opus';
       let finalAudioBlob = null;
-      if (allAudioSources.length > 0) {
+      if (rangeAudioSources.length > 0) {
         console.log('🎵 STEP 2: Mixing audio tracks...');
-        finalAudioBlob = await this.mixAudioTracks(allAudioSources, actualDuration, (progress, status) => {
+        finalAudioBlob = await this.mixAudioTracks(rangeAudioSources, exportDuration, (progress, status) => {
           safeOnProgress(60 + progress * 0.3, status); // 60-90% for audio mixing
+        }, {
+          bitrate: `${audioBitrate}k`,
+          codecArgs: useOpus ? ['-c:a', 'libopus', '-b:a', `${audioBitrate}k`] : null
         });
         // console.log('✅ STEP 2 Complete - Audio mixed:', finalAudioBlob?.size || 0, 'bytes');
       } else {
         // console.log('⏭️ STEP 2 Skipped - No audio tracks found');
       }
 
+      // mixAudioTracks swallows its own errors, so check again before the final step
+      this.throwIfCancelled();
+
       // STEP 3: Final Combination → Video + Audio
       // console.log('🎬 STEP 3: Combining video and audio...');
-      const finalBlob = await this.combineVideoAndAudio(videoBlob, finalAudioBlob, actualDuration, (progress, status) => {
-        safeOnProgress(90 + progress * 0.1, status); // 90-100% for final combination
-      });
+      const finalBlob = sequenceArchive
+        ? await this.finalizeSequenceArchive(sequenceArchive, finalAudioBlob, (progress, status) => {
+            safeOnProgress(90 + progress * 0.1, status); // 90-100% for packaging
+          })
+        : exportFormat.supportsAudio
+        ? await this.combineVideoAndAudio(videoBlob, finalAudioBlob, exportDuration, (progress, status) => {
+            safeOnProgress(90 + progress * 0.1, status); // 90-100% for final combination
+          }, { format, alpha: alpha && captureMode !== 'realtime' && exportFormat.supportsAlpha })
+        : videoBlob;
       
       // console.log('✅ STEP 3 Complete - Final export:', finalBlob.size, 'bytes');
 
-      safeOnProgress(100, 'Export complete! 🎉');
+      this.throwIfCancelled();
+
+      // Report how close the two-pass encode landed to the requested size
+      let sizeReport = null;
+      if (targetBytes) {
+        sizeReport = { targetBytes, actualBytes: finalBlob.size };
+        if (finalBlob.size > targetBytes) {
+          safeOnWarning(`Final size ${this.formatFileSize(finalBlob.size)} is over the ${this.formatFileSize(targetBytes)} target`);
+        }
+      }
+
+      safeOnProgress(100, sizeReport
+        ? `Export complete: ${this.formatFileSize(sizeReport.actualBytes)} of ${this.formatFileSize(sizeReport.targetBytes)} target`
+        : 'Export complete! 🎉');
       const url = URL.createObjectURL(finalBlob);
       console.log('🎉Export Process Completed Successfully!');
       
-      return { url, blob: finalBlob };
+      const codec = [
+        exportFormat.videoCodec + (alpha && exportFormat.supportsAlpha && captureMode !== 'realtime' ? ' with alpha' : ''),
+        finalAudioBlob && (useOpus ? 'Opus' : exportFormat.audioCodec)
+      ].filter(Boolean).join(' + ');
+
+      return { url, blob: finalBlob, extension: exportFormat.extension, codec, sizeReport };
 
     } catch (error) {
+      if (this.cancelRequested) {
+        // Whatever failed, the root cause is the cancellation (e.g. a terminated exec)
+        await this.cleanupIntermediateFiles();
+        console.log('⏹️ Export cancelled');
+        throw new ExportCancelledError();
+      }
       console.error('❌ Export process failed:', error);
       throw error;
+    } finally {
+      this.isExporting = false;
+    }
+  }
+
+  // Render a single still of the composition at `time` - full resolution, transparent, no handles
+  async exportFrame({ mediaItems, time, width = 1920, height = 1080, compositionWidth = width, compositionHeight = height, format = 'png', quality = 0.92 }) {
+    const visualItems = mediaItems.filter(item => item.type !== 'audio');
+    const mimeType = format === 'webp' ? 'image/webp' : 'image/png';
+
+    const renderer = new FrameRenderer({
+      mediaProcessor: this.mediaProcessor,
+      compositionWidth,
+      compositionHeight
+    });
+
+    try {
+      await renderer.prepare(visualItems);
+      const blob = await renderer.renderFrameBlob(time, width, height, mimeType, format === 'webp' ? quality : undefined);
+
+      // Browsers without WebP encoding silently fall back to PNG
+      const extension = blob.type === 'image/webp' ? 'webp' : 'png';
+      return { url: URL.createObjectURL(blob), blob, extension };
+    } finally {
+      renderer.dispose();
+    }
+  }
+
+  // Audio mixdown: the same filter graph and timing as the video's soundtrack
+  async exportAudioMix({ audioItems, duration, exportFormat, onProgress }) {
+    if (audioItems.length === 0) {
+      throw new Error(`Nothing to export - ${exportFormat.label} needs at least one audio track`);
+    }
+
+    const audioBlob = await this.mixAudioTracks(audioItems, duration, onProgress, {
+      codecArgs: exportFormat.audioArgs,
+      outputFile: `mixed_audio.${exportFormat.extension}`,
+      mimeType: exportFormat.mimeType
+    });
+
+    if (!audioBlob) {
+      this.throwIfCancelled();
+      throw new Error('Audio mixing failed - check the console for details');
+    }
+    return audioBlob;
+  }
+
+  // Group audio sources by the timeline track they sit on. Embedded video audio follows its
+  // video's track. Without a track layout every source becomes its own stem.
+  groupAudioStems(audioSources, trackAssignments) {
+    if (!trackAssignments) {
+      return audioSources.map(source => ({ name: source.name, items: [source] }));
+    }
+
+    const stems = [];
+    trackAssignments.audioTracks.forEach((track, index) => {
+      const ids = new Set(track.map(item => item.id));
+      const items = audioSources.filter(source => !source.isVideoAudio && ids.has(source.id));
+      if (items.length > 0) stems.push({ name: `Audio ${index + 1}`, items });
+    });
+    trackAssignments.videoTracks.forEach((track, index) => {
+      const ids = new Set(track.map(item => item.id));
+      const items = audioSources.filter(source => source.isVideoAudio && ids.has(source.originalVideoItem?.id));
+      if (items.length > 0) stems.push({ name: `Video ${index + 1} audio`, items });
+    });
+    return stems;
+  }
+
+  // Stem export: each track is mixed on its own over the full export length (silence-padded),
+  // so every file starts at the same moment and can be dropped straight into a DAW
+  async exportAudioStems({ audioSources, trackAssignments, duration, exportFormat, onProgress }) {
+    const stems = this.groupAudioStems(audioSources, trackAssignments);
+    if (stems.length === 0) {
+      throw new Error('Nothing to export - stems need at least one audio track');
+    }
+
+    const archive = new ZipArchive();
+    for (let i = 0; i < stems.length; i++) {
+      const stem = stems[i];
+      const stemProgress = (progress, status) => {
+        onProgress(((i + progress / 100) / stems.length) * 95, `Stem ${i + 1}/${stems.length} (${stem.name}): ${status}`);
+      };
+
+      const stemBlob = await this.mixAudioTracks(stem.items, duration, stemProgress, {
+        codecArgs: exportFormat.audioArgs,
+        outputFile: 'stem_audio.wav',
+        mimeType: 'audio/wav'
+      });
+      this.throwIfCancelled();
+      if (!stemBlob) {
+        throw new Error(`Audio mixing failed for stem "${stem.name}"`);
+      }
+
+      const fileName = `${String(i + 1).padStart(2, '0')} - ${stem.name.replace(/[\\/:*?"<>|]/g, '_')}.wav`;
+      await archive.addFile(`stems/${fileName}`, stemBlob);
+    }
+
+    onProgress(95, 'Packaging stems...');
+    return archive.toBlob();
+  }
+
+  // Split a file size budget into video and audio bitrates (kbps)
+  calculateTargetBitrates({ targetBytes, duration, hasAudio, maxAudioKbps = DEFAULT_AUDIO_KBPS }) {
+    const totalKbps = (targetBytes * 8 * (1 - CONTAINER_OVERHEAD)) / 1000 / duration;
+    // Audio gets ~10% of the budget, within what Vorbis can sensibly do and never above the chosen bitrate
+    const audioKbps = hasAudio ? Math.round(Math.min(maxAudioKbps, Math.max(Math.min(48, maxAudioKbps), totalKbps * 0.1))) : 0;
+    const videoKbps = Math.floor(totalKbps - audioKbps);
+
+    if (videoKbps < MIN_TARGET_VIDEO_KBPS) {
+      const minimumBytes = ((MIN_TARGET_VIDEO_KBPS + audioKbps) * 1000 * duration) / 8 / (1 - CONTAINER_OVERHEAD);
+      throw new Error(`Target size is too small for ${duration.toFixed(1)}s - use at least ${this.formatFileSize(minimumBytes)} or shorten the export`);
+    }
+
+    return { videoKbps, audioKbps: audioKbps || maxAudioKbps };
+  }
+
+  // Estimate output size and render time. Video formats are measured by rendering and
+  // encoding a short sample from the middle of the export with the real settings. The
+  // measurement is cached per composition, range, format, size and encoding options (see
+  // getCachedEstimate). Audio-only formats are estimated from their bitrate. A newer request
+  // or cancelEstimate() stops a running benchmark at its next frame; superseded requests and
+  // those overtaken by an export return null.
+  async estimateExport(options) {
+    const generation = ++this.estimateGeneration;
+    this.estimateCancelled = true; // Stop the benchmark this one replaces
+    const previous = this.benchmark;
+    const run = (async () => {
+      await previous?.catch(() => {});
+      if (this.isExporting || generation !== this.estimateGeneration) return null;
+
+      this.estimateCancelled = false;
+      this.isEstimating = true;
+      try {
+        return await this.runEstimateBenchmark(options);
+      } catch (error) {
+        if (this.estimateCancelled) return null; // Superseded, or an export took FFmpeg over
+        throw error;
+      } finally {
+        this.isEstimating = false;
+      }
+    })();
+
+    this.benchmark = run;
+    try {
+      return await run;
+    } finally {
+      if (this.benchmark === run) this.benchmark = null;
+    }
+  }
+
+  // Stop a running or waiting estimate, e.g. because the settings it measures changed
+  cancelEstimate() {
+    this.estimateGeneration++;
+    this.estimateCancelled = true;
+  }
+
+  // Estimate from the last benchmark of the same composition and settings, without touching
+  // FFmpeg. Null if no such benchmark has run yet.
+  getCachedEstimate(options) {
+    const plan = this.planEstimate(options);
+    if (!plan) return null;
+    if (plan.exportFormat.isAudioOnly) return this.estimateAudioOnly(plan);
+
+    const measurement = this.estimateCache.get(plan.cacheKey);
+    return measurement ? this.extrapolateEstimate(plan, measurement) : null;
+  }
+
+  // Everything an estimate needs to know about the export, resolved the same way exportVideo does
+  planEstimate({ mediaItems, width = 1920, height = 1080, compositionWidth = width, compositionHeight = height, fps = 15, format = 'webm', alpha = false, backgroundColor = '#000000', formatOptions = {}, range = null, trackAssignments = null }) {
+    const exportFormat = EXPORT_FORMATS[format];
+    if (!exportFormat || mediaItems.length === 0) return null;
+
+    // Same range clamping as exportVideo
+    const endTime = Math.max(...mediaItems.map(item => item.startTime + item.duration));
+    const rangeStart = range ? Math.min(Math.max(0, range.start || 0), endTime) : 0;
+    const rangeEnd = range && range.end != null ? Math.min(Math.max(rangeStart, range.end), endTime) : endTime;
+    const exportDuration = rangeEnd - rangeStart;
+    if (exportDuration <= 0) return null;
+
+    const audioItems = mediaItems.filter(item => item.type === 'audio');
+    const visualItems = mediaItems.filter(item => item.type !== 'audio');
+    if (!exportFormat.isAudioOnly && visualItems.length === 0) return null;
+
+    const resolvedFormatOptions = { ...DEFAULT_FORMAT_OPTIONS[format], ...formatOptions };
+    const renderFps = resolvedFormatOptions.maxFps ? Math.min(fps, resolvedFormatOptions.maxFps) : fps;
+    // Two-pass targeting needs the whole clip - the sample is encoded single-pass
+    const { videoBitrate, targetSizeMB, ...sampleFormatOptions } = resolvedFormatOptions;
+
+    return {
+      exportFormat,
+      format,
+      width,
+      height,
+      compositionWidth,
+      compositionHeight,
+      alpha,
+      backgroundColor,
+      trackAssignments,
+      rangeStart,
+      rangeEnd,
+      exportDuration,
+      audioItems,
+      visualItems,
+      resolvedFormatOptions,
+      sampleFormatOptions,
+      renderFps,
+      frameCount: Math.max(1, Math.ceil(exportDuration * renderFps)),
+      // Any edit to the timeline or the range changes what a frame costs, so it is part of the key
+      cacheKey: JSON.stringify([
+        format, width, height, compositionWidth, compositionHeight, renderFps, alpha, sampleFormatOptions, rangeStart, rangeEnd,
+        mediaItems.map(item => [item.id, item.type, item.startTime, item.duration, item.x, item.y, item.width, item.height, item.rotation, item.opacity])
+      ])
+    };
+  }
+
+  estimateAudioOnly({ exportFormat, exportDuration, audioItems, trackAssignments }) {
+    const fileCount = exportFormat.isStems ? Math.max(1, this.groupAudioStems(audioItems, trackAssignments).length) : 1;
+    return {
+      exportDuration,
+      sizeBytes: (exportFormat.estimatedKbps * 1000 / 8) * exportDuration * fileCount,
+      renderSeconds: null, // Audio mixing time does not depend on anything a benchmark could measure
+      frameCount: 0
+    };
+  }
+
+  // Encode a one-frame and an ESTIMATE_SAMPLE_FRAMES sample. The one-frame run is the fixed
+  // cost (FFmpeg start-up, the first keyframe, container headers); the difference between the
+  // two is what every further frame adds. Extrapolating the whole sample instead would charge
+  // each frame a share of the keyframe.
+  async runEstimateBenchmark(options) {
+    const plan = this.planEstimate(options);
+    if (!plan) return null;
+    if (plan.exportFormat.isAudioOnly) return this.estimateAudioOnly(plan);
+
+    const { exportFormat, format, width, height, compositionWidth, compositionHeight, alpha, backgroundColor, rangeStart, rangeEnd, exportDuration, visualItems, sampleFormatOptions, renderFps, frameCount } = plan;
+
+    // Decode the sources up front (they are cached) so only per-frame work is timed
+    for (const item of this.shiftItemsToRange(visualItems, rangeStart, rangeEnd)) {
+      if (item.isPreProcessed && item.frameData) continue;
+      try {
+        await this.mediaProcessor.extractFrames(item);
+      } catch (error) {
+        // The export skips items that cannot be processed, and so does the estimate
+      }
+    }
+
+    const sampleFrames = Math.min(ESTIMATE_SAMPLE_FRAMES, frameCount);
+    const sampleStart = rangeStart + Math.max(0, (exportDuration - sampleFrames / renderFps) / 2);
+    const measure = async (frames) => {
+      const duration = frames / renderFps;
+      const renderOptions = {
+        mediaItems: this.shiftItemsToRange(visualItems, sampleStart, sampleStart + duration),
+        width,
+        height,
+        compositionWidth,
+        compositionHeight,
+        fps: renderFps,
+        duration,
+        backgroundColor: alpha && exportFormat.supportsAlpha ? null : backgroundColor,
+        onProgress: () => {}
+      };
+
+      const started = performance.now();
+      let bytes = 0;
+      if (exportFormat.isImageSequence) {
+        await this.renderFrames({
+          ...renderOptions,
+          onFrame: (blob) => {
+            bytes += blob.size;
+          }
+        });
+      } else {
+        const blob = await this.renderCompositionVideo({ ...renderOptions, format, alpha, formatOptions: sampleFormatOptions });
+        bytes = blob.size;
+      }
+      return { seconds: (performance.now() - started) / 1000, bytes };
+    };
+
+    const first = await measure(1);
+    const sample = sampleFrames > 1 ? await measure(sampleFrames) : first;
+    const extraFrames = sampleFrames - 1;
+
+    const measurement = {
+      firstFrameSeconds: first.seconds,
+      secondsPerFrame: extraFrames > 0 ? Math.max(0, (sample.seconds - first.seconds) / extraFrames) : first.seconds,
+      // Image sequences have no keyframes - every file is a whole frame
+      firstFrameBytes: exportFormat.isImageSequence ? sample.bytes / sampleFrames : first.bytes,
+      bytesPerFrame: exportFormat.isImageSequence || extraFrames === 0
+        ? sample.bytes / sampleFrames
+        : Math.max(0, (sample.bytes - first.bytes) / extraFrames)
+    };
+    this.estimateCache.set(plan.cacheKey, measurement);
+    return this.extrapolateEstimate(plan, measurement);
+  }
+
+  extrapolateEstimate({ exportFormat, format, exportDuration, frameCount, renderFps, resolvedFormatOptions, visualItems, audioItems }, measurement) {
+    const targetBytes = format === 'webm' && resolvedFormatOptions.targetSizeMB > 0
+      ? Math.round(resolvedFormatOptions.targetSizeMB * 1024 * 1024)
+      : null;
+
+    // Every keyframe costs about as much as the sample's first frame
+    const keyframeInterval = format === 'webm' && resolvedFormatOptions.keyframeInterval > 0
+      ? Math.max(1, Math.round(resolvedFormatOptions.keyframeInterval * renderFps))
+      : frameCount;
+    const keyframes = Math.ceil(frameCount / keyframeInterval);
+    const videoBytes = measurement.firstFrameBytes * keyframes + measurement.bytesPerFrame * (frameCount - keyframes);
+
+    const hasAudio = exportFormat.supportsAudio && (audioItems.length > 0 || visualItems.some(item => item.type === 'video'));
+    const audioKbps = format === 'webm' ? resolvedFormatOptions.audioBitrate || DEFAULT_AUDIO_KBPS : DEFAULT_AUDIO_KBPS;
+    const audioBytes = hasAudio ? (audioKbps * 1000 / 8) * exportDuration : 0;
+
+    const renderSeconds = measurement.firstFrameSeconds + measurement.secondsPerFrame * (frameCount - 1);
+    return {
+      exportDuration,
+      frameCount,
+      // The size target already accounts for audio and container overhead
+      sizeBytes: targetBytes || videoBytes + audioBytes,
+      isTargetSize: !!targetBytes,
+      // A second VP9 pass roughly doubles encoding, about half of the per-frame time
+      renderSeconds: renderSeconds * (targetBytes ? 1.5 : 1)
+    };
+  }
+
+  formatFileSize(bytes) {
+    if (bytes >= 1024 * 1024) {
+      return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+    }
+    return `${Math.round(bytes / 1024)} KB`;
+  }
+
+  // Move items onto an export range's own timeline: items outside the range are dropped and
+  // startTime becomes relative to rangeStart. Items that began before the range get a negative
+  // startTime, which the renderer and mixAudioTracks treat as an offset into the clip.
+  shiftItemsToRange(items, rangeStart, rangeEnd) {
+    return items
+      .filter(item => item.startTime < rangeEnd && item.startTime + item.duration > rangeStart)
+      .map(item => rangeStart === 0 ? item : { ...item, startTime: item.startTime - rangeStart });
+  }
+
+  // Render every frame of the composition into FFmpeg's filesystem as a numbered PNG sequence
+  async renderFrameSequence({ mediaItems, width, height, compositionWidth, compositionHeight, fps, duration, backgroundColor = null, onProgress }) {
+    await this.initialize();
+
+    const frameFiles = [];
+
+    try {
+      const totalFrames = await this.renderFrames({
+        mediaItems,
+        width,
+        height,
+        compositionWidth,
+        compositionHeight,
+        fps,
+        duration,
+        backgroundColor,
+        onProgress,
+        onFrame: async (frameBlob, frameIndex) => {
+          const frameFile = `export_frame_${frameIndex.toString().padStart(5, '0')}.png`;
+          await this.ffmpeg.writeFile(frameFile, await fetchFile(frameBlob));
+          frameFiles.push(frameFile);
+        }
+      });
+
+      return {
+        frameFiles,
+        totalFrames,
+        // FFmpeg input arguments for reading the sequence back at the export frame rate
+        inputArgs: ['-framerate', fps.toString(), '-start_number', '0', '-i', 'export_frame_%05d.png']
+      };
+    } catch (error) {
+      await this.cleanupAudioFiles(frameFiles);
+      throw error;
+    }
+  }
+
+  // Draw the composition at every frame timestamp and hand each encoded PNG to onFrame
+  async renderFrames({ mediaItems, width, height, compositionWidth, compositionHeight, fps, duration, backgroundColor = null, onProgress, onFrame }) {
+    const renderer = new FrameRenderer({
+      mediaProcessor: this.mediaProcessor,
+      compositionWidth,
+      compositionHeight,
+      backgroundColor,
+      useWorker: true // Compose and PNG-encode off the main thread so the editor stays usable
+    });
+
+    const totalFrames = Math.max(1, Math.ceil(duration * fps));
+
+    try {
+      await renderer.prepare(mediaItems, (progress, status) => {
+        onProgress(progress * 0.1, status); // 0-10% preparing media frames
+      });
+
+      for (let frameIndex = 0; frameIndex < totalFrames; frameIndex++) {
+        this.throwIfCancelled();
+
+        // Exact timestamp for this frame - never derived from wall-clock time
+        const currentTime = frameIndex / fps;
+        onProgress(10 + (frameIndex / totalFrames) * 90, `Rendering frame ${frameIndex + 1}/${totalFrames} (${currentTime.toFixed(1)}s)`);
+
+        await onFrame(await renderer.renderFrameBlob(currentTime, width, height), frameIndex);
+      }
+    } finally {
+      renderer.dispose();
+    }
+
+    onProgress(100, `Rendered ${totalFrames} frames`);
+    return totalFrames;
+  }
+
+  // Image-sequence export: numbered RGBA PNGs collected straight into a ZIP archive
+  async renderPngSequenceArchive({ mediaItems, width, height, compositionWidth, compositionHeight, fps, duration, alpha = false, backgroundColor = null, onProgress }) {
+    const archive = new ZipArchive();
+
+    const totalFrames = await this.renderFrames({
+      mediaItems,
+      width,
+      height,
+      compositionWidth,
+      compositionHeight,
+      fps,
+      duration,
+      backgroundColor: alpha ? null : (backgroundColor || '#000000'),
+      onProgress,
+      onFrame: (frameBlob, frameIndex) => {
+        return archive.addFile(`frames/frame_${frameIndex.toString().padStart(5, '0')}.png`, frameBlob);
+      }
+    });
+
+    // Describe the sequence so it can be imported into other tools without guessing
+    const manifest = {
+      fps,
+      width,
+      height,
+      frameCount: totalFrames,
+      duration,
+      alpha,
+      framePattern: 'frames/frame_%05d.png',
+      startNumber: 0
+    };
+
+    return { archive, manifest };
+  }
+
+  // Add the mixed audio and manifest to a rendered sequence archive and build the ZIP
+  async finalizeSequenceArchive({ archive, manifest }, audioBlob, onProgress) {
+    onProgress(0, 'Packaging frames...');
+
+    const audioFile = audioBlob ? 'audio.webm' : null;
+    if (audioBlob) {
+      await archive.addFile(audioFile, audioBlob);
+    }
+
+    await archive.addFile('manifest.json', JSON.stringify({
+      ...manifest,
+      audio: audioFile,
+      audioCodec: audioBlob ? 'vorbis' : null
+    }, null, 2));
+
+    const zipBlob = archive.toBlob();
+    onProgress(100, `Packaged ${manifest.frameCount} frames`);
+    return zipBlob;
+  }
+
+  // Codec arguments for encoding the rendered PNG sequence into each video container
+  getVideoEncodeArgs(format, { alpha = false, options = {}, fps = null } = {}) {
+    const quality = Math.min(100, Math.max(0, options.quality ?? 80));
+
+    if (format === 'webp') {
+      return [
+        '-c:v', 'libwebp_anim',
+        // Lossless WebP is encoded from RGB, lossy from 4:2:0 with a separate alpha plane
+        '-pix_fmt', options.lossless ? 'bgra' : (alpha ? 'yuva420p' : 'yuv420p'),
+        '-lossless', options.lossless ? '1' : '0',
+        '-quality', quality.toString(),
+        '-compression_level', '4',
+        '-loop', String(options.loop ?? 0)
+      ];
+    }
+
+    if (format === 'apng') {
+      return [
+        '-c:v', 'apng',
+        '-pix_fmt', alpha ? 'rgba' : 'rgb24',
+        '-pred', 'mixed', // Best per-row PNG filter, smallest lossless output
+        '-plays', String(options.loop ?? 0),
+        '-f', 'apng'
+      ];
+    }
+
+    if (format === 'mp4') {
+      return [
+        '-c:v', 'libx264',
+        // H.264 4:2:0 needs even dimensions
+        '-vf', 'pad=ceil(iw/2)*2:ceil(ih/2)*2',
+        '-pix_fmt', 'yuv420p',
+        '-preset', 'veryfast',
+        '-crf', '20',
+        '-movflags', '+faststart'
+      ];
+    }
+
+    return [
+      '-c:v', 'libvpx-vp9',
+      ...(alpha
+        ? [
+            '-pix_fmt', 'yuva420p', // Keep the RGBA frames' alpha plane
+            '-auto-alt-ref', '0', // Alt-ref frames are incompatible with alpha encoding
+            '-metadata:s:v:0', 'alpha_mode=1' // Tell WebM players the track carries alpha
+          ]
+        : ['-pix_fmt', 'yuv420p']),
+      ...this.getVp9RateArgs(options),
+      ...(options.keyframeInterval > 0 && fps
+        ? ['-g', Math.max(1, Math.round(options.keyframeInterval * fps)).toString()]
+        : [])
+    ];
+  }
+
+  // VP9 rate control and speed. A size target (videoBitrate) always wins: it needs the
+  // two-pass average-bitrate mode, so only the speed settings carry over.
+  getVp9RateArgs(options = {}) {
+    const bitrateKbps = options.bitrateKbps || 8000;
+    const deadline = options.videoBitrate && options.deadline === 'realtime' ? 'good' : (options.deadline || 'realtime');
+    const cpuUsed = options.cpuUsed ?? (deadline === 'realtime' ? 8 : 4);
+
+    let rateArgs;
+    if (options.videoBitrate) {
+      rateArgs = ['-b:v', `${options.videoBitrate}k`];
+    } else if (options.rateControl === 'crf') {
+      rateArgs = ['-crf', String(options.crf ?? 31), '-b:v', '0']; // -b:v 0 = pure constant quality
+    } else if (options.rateControl === 'cq') {
+      rateArgs = ['-crf', String(options.crf ?? 31), '-b:v', `${bitrateKbps}k`];
+    } else {
+      rateArgs = ['-b:v', `${bitrateKbps}k`];
+    }
+
+    return [
+      ...rateArgs,
+      '-deadline', deadline,
+      '-cpu-used', String(Math.min(8, Math.max(0, cpuUsed)))
+    ];
+  }
+
+  // STEP 1: Offline frame-by-frame render → PNG sequence → FFmpeg encode
+  async renderCompositionVideo({ mediaItems, width, height, compositionWidth, compositionHeight, fps, duration, format = 'webm', alpha = false, backgroundColor = null, formatOptions = {}, onProgress }) {
+    const exportFormat = EXPORT_FORMATS[format];
+    const outputFile = `rendered_video.${exportFormat.extension}`;
+    const keepAlpha = alpha && exportFormat.supportsAlpha;
+
+    // Formats with a frame-rate cap are rendered at the capped rate rather than dropping frames later
+    const renderFps = formatOptions.maxFps ? Math.min(fps, formatOptions.maxFps) : fps;
+
+    const { frameFiles, totalFrames, inputArgs } = await this.renderFrameSequence({
+      mediaItems,
+      width,
+      height,
+      compositionWidth,
+      compositionHeight,
+      fps: renderFps,
+      duration,
+      // Without alpha, frames are flattened onto the chosen background colour
+      backgroundColor: keepAlpha ? null : (backgroundColor || '#000000'),
+      onProgress: (progress, status) => onProgress(progress * 0.8, status) // 0-80% rendering
+    });
+
+    const handleEncodeProgress = ({ progress }) => {
+      const clamped = Math.min(1, Math.max(0, progress || 0));
+      onProgress(80 + clamped * 20, `Encoding ${exportFormat.label} (${Math.round(clamped * 100)}%)`);
+    };
+
+    try {
+      onProgress(80, `Encoding ${exportFormat.label}...`);
+      this.ffmpeg.on('progress', handleEncodeProgress);
+
+      if (format === 'gif') {
+        await this.encodeGif({ inputArgs, totalFrames, outputFile, transparent: keepAlpha, options: formatOptions, onProgress });
+      } else if (format === 'webm' && formatOptions.videoBitrate) {
+        await this.encodeTwoPass({ inputArgs, totalFrames, outputFile, renderFps, alpha: keepAlpha, options: formatOptions, onProgress });
+      } else if (format === 'apng' && !formatOptions.lossless) {
+        await this.encodeQuantizedApng({ inputArgs, totalFrames, outputFile, transparent: keepAlpha, options: formatOptions, onProgress });
+      } else {
+        await this.exec([
+          ...inputArgs,
+          '-frames:v', totalFrames.toString(), // Exactly duration * fps frames
+          ...this.getVideoEncodeArgs(format, { alpha: keepAlpha, options: formatOptions, fps: renderFps }),
+          '-r', renderFps.toString(),
+          '-y',
+          outputFile
+        ]);
+      }
+
+      const videoData = await this.ffmpeg.readFile(outputFile);
+      const videoBlob = new Blob([videoData.buffer.slice(0, videoData.byteLength)], { type: exportFormat.mimeType });
+
+      if (videoBlob.size === 0) {
+        throw new Error('Frame rendering produced empty video');
+      }
+
+      onProgress(100, `Encoded ${totalFrames} frames`);
+      return videoBlob;
+    } finally {
+      this.ffmpeg.off('progress', handleEncodeProgress);
+      await this.cleanupAudioFiles([...frameFiles, outputFile]);
+    }
+  }
+
+  // Two-pass VP9 at a fixed average bitrate: pass 1 analyses the frames, pass 2 spends
+  // the bits where they are needed so the file lands close to the target size
+  async encodeTwoPass({ inputArgs, totalFrames, outputFile, renderFps, alpha, options, onProgress }) {
+    const passLogFile = 'vp9_2pass';
+    const encodeArgs = this.getVideoEncodeArgs('webm', { alpha, options, fps: renderFps });
+
+    try {
+      onProgress(80, 'Analysing frames (pass 1/2)...');
+      await this.exec([
+        ...inputArgs,
+        '-frames:v', totalFrames.toString(),
+        ...encodeArgs,
+        '-r', renderFps.toString(),
+        '-pass', '1',
+        '-passlogfile', passLogFile,
+        '-f', 'null',
+        '-y',
+        '/dev/null'
+      ]);
+
+      onProgress(90, 'Encoding at target bitrate (pass 2/2)...');
+      await this.exec([
+        ...inputArgs,
+        '-frames:v', totalFrames.toString(),
+        ...encodeArgs,
+        '-r', renderFps.toString(),
+        '-pass', '2',
+        '-passlogfile', passLogFile,
+        '-y',
+        outputFile
+      ]);
+    } finally {
+      await this.cleanupAudioFiles([`${passLogFile}-0.log`]);
     }
   }
 
-  // STEP 1: Canvas Capture (extracted from existing code)
-  async captureCanvasVideo({ width, height, fps, duration, onTimelineSeek, onProgress }) {
+  // Two-pass GIF encode: build an optimal 256-colour palette from all frames, then map frames onto it
+  async encodeGif({ inputArgs, totalFrames, outputFile, transparent, options, onProgress }) {
+    const paletteFile = 'gif_palette.png';
+
+    try {
+      onProgress(85, 'Generating GIF palette (pass 1/2)...');
+      await this.exec([
+        ...inputArgs,
+        // reserve_transparent keeps one palette index free for alpha pixels
+        '-vf', `palettegen=stats_mode=diff:reserve_transparent=${transparent ? 1 : 0}`,
+        '-y',
+        paletteFile
+      ]);
+
+      onProgress(90, 'Mapping frames to palette (pass 2/2)...');
+      const ditherArgs = options.dither === 'bayer'
+        ? 'dither=bayer:bayer_scale=3'
+        : `dither=${options.dither || 'sierra2_4a'}`;
+      const alphaThreshold = transparent ? Math.min(255, Math.max(0, options.alphaThreshold ?? 128)) : 0;
+
+      await this.exec([
+        ...inputArgs,
+        '-i', paletteFile,
+        '-frames:v', totalFrames.toString(),
+        '-lavfi', `[0:v][1:v]paletteuse=${ditherArgs}:diff_mode=rectangle:alpha_threshold=${alphaThreshold}`,
+        '-loop', String(options.loop ?? 0),
+        '-y',
+        outputFile
+      ]);
+    } finally {
+      await this.cleanupAudioFiles([paletteFile]);
+    }
+  }
+
+  // Lossy APNG: quantize every frame to a shared palette (quality picks the colour count).
+  // PNG palettes carry per-entry alpha, but paletteuse only maps fully transparent pixels.
+  async encodeQuantizedApng({ inputArgs, totalFrames, outputFile, transparent, options, onProgress }) {
+    const paletteFile = 'apng_palette.png';
+    const quality = Math.min(100, Math.max(0, options.quality ?? 80));
+    const maxColors = Math.max(4, Math.round(16 + (quality / 100) * 240));
+
+    try {
+      onProgress(85, 'Generating APNG palette (pass 1/2)...');
+      await this.exec([
+        ...inputArgs,
+        '-vf', `palettegen=max_colors=${maxColors}:stats_mode=diff:reserve_transparent=${transparent ? 1 : 0}`,
+        '-y',
+        paletteFile
+      ]);
+
+      onProgress(90, 'Mapping frames to palette (pass 2/2)...');
+      await this.exec([
+        ...inputArgs,
+        '-i', paletteFile,
+        '-frames:v', totalFrames.toString(),
+        '-lavfi', `[0:v][1:v]paletteuse=dither=sierra2_4a:diff_mode=rectangle:alpha_threshold=${transparent ? 128 : 0}`,
+        '-c:v', 'apng',
+        '-pix_fmt', 'pal8',
+        '-plays', String(options.loop ?? 0),
+        '-f', 'apng',
+        '-y',
+        outputFile
+      ]);
+    } finally {
+      await this.cleanupAudioFiles([paletteFile]);
+    }
+  }
+
+  // STEP 1 (fallback): Realtime canvas capture through MediaRecorder
+  async captureCanvasVideo({ width, height, fps, duration, timelineStart = 0, videoBitsPerSecond = 8000000, onTimelineSeek, onProgress }) {
     // Find the existing canvas element from VideoCanvas component
     const existingCanvas = document.querySelector('canvas.video-canvas');
     if (!existingCanvas) {
@@ -181,7 +1290,7 @@ export class VideoComposer {
 
     const recorder = new MediaRecorder(stream, {
       mimeType: mimeType,
-      videoBitsPerSecond: 8000000 // 8 Mbps for high quality
+      videoBitsPerSecond // WebM bitrate setting, 8 Mbps by default
     });
 
     const chunks = [];
@@ -214,6 +1323,12 @@ export class VideoComposer {
       const timeStep = 1 / fps;
 
       const renderFrame = async () => {
+        if (this.cancelRequested) {
+          recorder.onstop = null;
+          recorder.stop();
+          reject(new ExportCancelledError());
+          return;
+        }
         if (frameIndex >= totalFrames) {
           recorder.stop();
           return;
@@ -226,7 +1341,7 @@ export class VideoComposer {
         
         // Use the callback to seek the timeline to the exact time
         // This handles both video content and extended audio-only sections
-        await onTimelineSeek(currentTime);
+        await onTimelineSeek(timelineStart + currentTime);
         
         // Wait two animation frames to ensure canvas has rendered the new content
         await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
@@ -276,7 +1391,10 @@ export class VideoComposer {
   }
 
   // STEP 2: Mix all audio tracks into a single audio file
-  async mixAudioTracks(audioItems, totalDuration, onProgress) {
+  // The mix is Vorbis in WebM by default (ready to copy into the video); audio-only exports
+  // pass their own codec arguments and output file.
+  async mixAudioTracks(audioItems, totalDuration, onProgress, { bitrate = '192k', codecArgs = null, outputFile = 'mixed_audio.webm', mimeType = 'video/webm' } = {}) {
+    const audioCodecArgs = codecArgs || ['-c:a', 'libvorbis', '-b:a', bitrate]; // Vorbis keeps the stack small
     try {
       await this.initialize();
       
@@ -335,7 +1453,7 @@ export class VideoComposer {
             
             // Extract audio track from video file
             const extractedAudioFile = `extracted_audio_${i}.mp3`;
-            await this.ffmpeg.exec([
+            await this.exec([
               '-i', tempVideoFile,
               '-vn', // No video
               '-acodec', 'mp3',
@@ -384,31 +1502,7 @@ export class VideoComposer {
       // PATCH 1: Build filter graph properly without silent base
       // No more silent_base.ogg - each track is padded individually
       
-      // For single audio starting at 0, still use simple approach for efficiency
-      if (audioFiles.length === 1 && audioFiles[0].startTime === 0) {
-        // console.log('🎵 Single audio at time 0 - returning directly in WebM format');
-        
-        // Convert single audio to WebM format directly
-        await this.ffmpeg.exec([
-          '-i', audioFiles[0].fileName,
-          '-c:a', 'libvorbis',
-          '-b:a', '192k',
-          '-t', totalDuration.toString(),
-          '-y',
-          'mixed_audio.webm'
-        ]);
-        
-        const singleAudioData = await this.ffmpeg.readFile('mixed_audio.webm');
-        const audioBlob = new Blob([singleAudioData.buffer], { type: 'video/webm' });
-        
-        // Immediate cleanup
-        await this.cleanupAudioFiles(['mixed_audio.webm', ...audioFiles.map(f => f.fileName)]);
-        
-        // console.log(`✅ Single audio converted to WebM: ${audioBlob.size} bytes`);
-        return audioBlob;
-      }
-      
-      onProgress(60, 'Mixing multiple tracks with proper timing...');
+      onProgress(60, 'Mixing tracks with proper timing...');
       
       // PATCH 1: Proper multi-track mixing without silent base
       const inputs = [];
@@ -416,11 +1510,15 @@ export class VideoComposer {
       
       audioFiles.forEach((f, i) => {
         inputs.push('-i', f.fileName); // Add each clip as an input
-        const delayMs = Math.round(f.startTime * 1000);
+        // A negative startTime means the clip began before the export's in point
+        const trimStart = Math.max(0, -f.startTime);
+        const delayMs = Math.round(Math.max(0, f.startTime) * 1000);
         const lbl = `a${i}`;
         
         let filterPart = `[${i}:a]` +
-          `atrim=duration=${f.duration},` +           // Cut to length
+          (trimStart
+            ? `atrim=start=${trimStart}:end=${f.duration},` // Skip the part before the in point
+            : `atrim=duration=${f.duration},`) +     // Cut to length
           `asetpts=PTS-STARTPTS,` +                   // Reset PTS (fixes timestamp issues)
           (delayMs ? `adelay=${delayMs}|${delayMs},` : '') +
           `apad` +                                    // Pad with silence so all tracks reach totalDuration
@@ -429,12 +1527,15 @@ export class VideoComposer {
         filterParts.push(filterPart);
       });
       
-      // Glue the individual streams together with duration=longest
-      const mixFilter = 
-        filterParts.join(';') +
-        ';' +
-        filterParts.map((_, i) => `[a${i}]`).join('') +
-        `amix=inputs=${audioFiles.length}:duration=longest:dropout_transition=0[m]`;
+      // Glue the individual streams together with duration=longest. normalize=0 sums the clips at
+      // their own level (amix otherwise scales each by 1/N), so per-track stems add up to the full
+      // mix. A single clip goes through the same trim/delay chain and needs no mixing.
+      const mixFilter = audioFiles.length === 1
+        ? `${filterParts[0]};[a0]anull[m]`
+        : filterParts.join(';') +
+          ';' +
+          filterParts.map((_, i) => `[a${i}]`).join('') +
+          `amix=inputs=${audioFiles.length}:duration=longest:dropout_transition=0:normalize=0[m]`;
       
       // console.log('🎛️ Proper audio mix filter:', mixFilter);
       
@@ -443,26 +1544,25 @@ export class VideoComposer {
         ...inputs,
         '-filter_complex', mixFilter,
         '-map', '[m]',
-        '-c:a', 'libvorbis', // Vorbis keeps the stack small
-        '-b:a', '192k',
+        ...audioCodecArgs,
         '-t', totalDuration.toString(),
         '-y',
-        'mixed_audio.webm' // Write directly to WebM format!
+        outputFile // Write directly to the output container
       ];
       
       // console.log('🎛️ Mix command:', mixCommand.join(' '));
-      await this.ffmpeg.exec(mixCommand);
+      await this.exec(mixCommand);
       
       onProgress(80, 'Reading mixed audio...');
       
       // Read and immediately cleanup
-      const audioData = await this.ffmpeg.readFile('mixed_audio.webm');
+      const audioData = await this.ffmpeg.readFile(outputFile);
       // console.log(`✅ Mixed audio read: ${audioData.byteLength} bytes`);
       
       // Immediate cleanup
-      await this.cleanupAudioFiles(['mixed_audio.webm', ...audioFiles.map(f => f.fileName)]);
+      await this.cleanupAudioFiles([outputFile, ...audioFiles.map(f => f.fileName)]);
       
-      const audioBlob = new Blob([audioData.buffer.slice(0, audioData.byteLength)], { type: 'video/webm' });
+      const audioBlob = new Blob([audioData.buffer.slice(0, audioData.byteLength)], { type: mimeType });
       
       onProgress(100, 'Multi-track audio mixing complete');
       // console.log('✅ Multi-track audio mixing successful, final size:', audioBlob.size, 'bytes');
@@ -475,7 +1575,7 @@ export class VideoComposer {
       console.error('❌ Error:', error);
       
       // Cleanup on error
-      await this.cleanupAudioFiles(['mixed_audio.webm']);
+      await this.cleanupAudioFiles([outputFile]);
       for (let i = 0; i < audioItems.length; i++) {
         await this.cleanupAudioFiles([`audio_${i}.mp3`]);
         // Clean up potential video audio extraction files
@@ -487,7 +1587,11 @@ export class VideoComposer {
   }
 
   // STEP 3: Combine video and mixed audio into final export
-  async combineVideoAndAudio(videoBlob, audioBlob, duration, onProgress) {
+  async combineVideoAndAudio(videoBlob, audioBlob, duration, onProgress, { format = 'webm', alpha = false } = {}) {
+    const exportFormat = EXPORT_FORMATS[format];
+    const videoFileName = `video.${exportFormat.extension}`;
+    const finalFileName = `final.${exportFormat.extension}`;
+
     try {
       await this.initialize();
       
@@ -500,10 +1604,10 @@ export class VideoComposer {
       // console.log('📝 Writing video to FFmpeg filesystem...');
       
       try {
-        await this.ffmpeg.writeFile('video.webm', await fetchFile(videoBlob));
+        await this.ffmpeg.writeFile(videoFileName, await fetchFile(videoBlob));
         
         // Verify video file
-        const writtenVideoData = await this.ffmpeg.readFile('video.webm');
+        const writtenVideoData = await this.ffmpeg.readFile(videoFileName);
         // console.log(`✅ Video written and verified: ${writtenVideoData.byteLength} bytes`);
         
         if (writtenVideoData.byteLength !== videoBlob.size) {
@@ -580,45 +1684,49 @@ export class VideoComposer {
         onProgress(60, 'Combining video and audio...');
         // console.log('🎬 Starting video/audio combination...');
         
-        // PATCH 2: Mux without re-encoding - both inputs are WebM compatible
-        // VP9 video + Vorbis audio = just metadata pass-through, minimal memory usage
+        // PATCH 2: Mux without re-encoding the video - WebM copies the Vorbis audio too,
+        // MP4 transcodes it to AAC (cheap compared to video)
         const combineCommand = [
-          '-i', 'video.webm',
+          '-i', videoFileName,
           '-i', audioFileName,
           '-c:v', 'copy', // Copy video stream as-is 
-          '-c:a', 'copy', // Copy audio stream as-is (NO re-encoding, NO stack stress!)
+          ...exportFormat.audioArgs,
           '-map', '0:v:0', // Explicitly map first video stream
           '-map', '1:a:0', // Explicitly map first audio stream  
+          // Stream copy keeps the VP9 alpha BlockAdditions; re-tag the track so the
+          // muxer still writes AlphaMode and players render the transparency
+          ...(alpha ? ['-metadata:s:v:0', 'alpha_mode=1'] : []),
           '-shortest', // End when shortest stream ends
           '-t', duration.toString(), // Use full calculated duration
           '-avoid_negative_ts', 'make_zero', // Handle timing issues
+          ...(format === 'mp4' ? ['-movflags', '+faststart'] : []),
           '-y',
-          'final.webm'
+          finalFileName
         ];
         
         // console.log('🎛️ Combination command:', combineCommand.join(' '));
         // console.log('🔄 Executing combination (this is where the error likely occurs)...');
         
-        await this.ffmpeg.exec(combineCommand);
+        await this.exec(combineCommand);
         
         // console.log('✅ Combination command completed successfully');
         
         onProgress(80, 'Reading final export...');
         
-        const finalData = await this.ffmpeg.readFile('final.webm');
+        const finalData = await this.ffmpeg.readFile(finalFileName);
         console.log(`✅ Final export read: ${finalData.byteLength} bytes`);
         
         // Immediate cleanup after reading (frees memory sooner)
         try {
-          await this.ffmpeg.deleteFile('video.webm');
+          await this.ffmpeg.deleteFile(videoFileName);
           await this.ffmpeg.deleteFile(audioFileName);
-          await this.ffmpeg.deleteFile('final.webm');
+          await this.ffmpeg.deleteFile(finalFileName);
           console.log('🧹 Immediate cleanup completed');
         } catch (cleanupError) {
           console.warn('⚠️ Immediate cleanup warning:', cleanupError);
         }
         
-        const finalBlob = new Blob([finalData.buffer.slice(0, finalData.byteLength)], { type: 'video/webm' });
+        const finalBlob = new Blob([finalData.buffer.slice(0, finalData.byteLength)], { type: exportFormat.mimeType });
         
         // No additional cleanup needed - already done above
         
@@ -651,7 +1759,7 @@ export class VideoComposer {
       }
       
       // Clean up on error
-      await this.cleanupAudioFiles(['video.webm', 'audio.webm', 'audio.ogg', 'audio.mp3', 'audio.wav', 'final.webm']);
+      await this.cleanupAudioFiles([videoFileName, 'audio.webm', 'audio.ogg', 'audio.mp3', 'audio.wav', finalFileName]);
       
       // If combination fails, return video-only as fallback
       console.warn('🔄 Falling back to video-only export due to combination failure');
@@ -685,7 +1793,7 @@ export class VideoComposer {
       await this.ffmpeg.writeFile('audio.mp3', await fetchFile(audioBlob));
       
       // Combine video and audio
-      await this.ffmpeg.exec([
+      await this.exec([
         '-i', 'video.webm',
         '-i', 'audio.mp3',
         '-c:v', 'copy',
@@ -717,10 +1825,9 @@ export class VideoComposer {
     }
   }
 
-  // Fallback export using same Canvas capture method
-  async exportVideoFallback({ mediaItems, duration, width = 1920, height = 1080, fps = 15, onProgress, onTimelineSeek }) {
-    // The fallback now uses the same canvas capture approach for consistency
-    // This ensures both methods produce identical results
-    return this.exportVideo({ mediaItems, duration, width, height, fps, onProgress, onTimelineSeek });
+  // Fallback export using realtime MediaRecorder capture of the live canvas
+  async exportVideoFallback({ mediaItems, duration, width = 1920, height = 1080, fps = 15, range = null, formatOptions = {}, onProgress, onTimelineSeek }) {
+    // Uses far less FFmpeg memory than the PNG sequence, at the cost of frame accuracy
+    return this.exportVideo({ mediaItems, duration, width, height, fps, range, formatOptions, captureMode: 'realtime', onProgress, onTimelineSeek });
   }
 } 
\ No newline at end of file
@@ -0,0 +1,237 @@
+import { demuxVideo } from './Demuxer';
+
+// Browser-native decoding with WebCodecs: VideoDecoder for MP4/WebM video (demuxed
+// in JS) and ImageDecoder for animated GIF/WebP. Much faster than FFmpeg.wasm and
+// not limited by its memory, but only some codecs and containers are covered -
+// open() returns null for anything else so the caller can use FFmpeg instead.
+
+const IMAGE_TYPES = {
+  gif: 'image/gif',
+  webp: 'image/webp',
+  png: 'image/apng'
+};
+
+const DECODE_TIMEOUT_MS = 30000;
+
+// Draw a decoded frame upright (rotation is clockwise degrees) and encode it as a PNG,
+// resolving to { url, size }. convertToBlob copies the canvas synchronously, so one
+// canvas serves every frame.
+const encodeFrame = (canvas, frame, rotation) => {
+  const width = frame.displayWidth;
+  const height = frame.displayHeight;
+  const sideways = rotation === 90 || rotation === 270;
+  canvas.width = sideways ? height : width;
+  canvas.height = sideways ? width : height;
+
+  const ctx = canvas.getContext('2d');
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  if (rotation === 90) ctx.translate(canvas.width, 0);
+  if (rotation === 180) ctx.translate(canvas.width, canvas.height);
+  if (rotation === 270) ctx.translate(0, canvas.height);
+  ctx.rotate((rotation * Math.PI) / 180);
+  ctx.drawImage(frame, 0, 0, width, height);
+
+  return canvas.convertToBlob({ type: 'image/png' }).then(blob => ({ url: URL.createObjectURL(blob), size: blob.size }));
+};
+
+const withTimeout = (promise, message) => {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), DECODE_TIMEOUT_MS);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+export class WebCodecsSource {
+  static isSupported() {
+    return typeof OffscreenCanvas !== 'undefined' &&
+      (typeof VideoDecoder !== 'undefined' || typeof ImageDecoder !== 'undefined');
+  }
+
+  // Open a video or animated image for decoding. `extension` picks the path (as
+  // MediaProcessor.getFileExtension reports it); mediaInfo supplies WebM rotation.
+  static async open(blob, { extension, mediaInfo } = {}) {
+    if (!WebCodecsSource.isSupported()) return null;
+
+    const imageType = IMAGE_TYPES[extension];
+    if (imageType) {
+      return typeof ImageDecoder !== 'undefined' ? WebCodecsSource.openImage(blob, blob.type || imageType) : null;
+    }
+    if (typeof VideoDecoder === 'undefined') return null;
+
+    const demuxed = demuxVideo(await blob.arrayBuffer());
+    if (!demuxed || demuxed.hasAlpha) return null; // WebCodecs drops WebM alpha, FFmpeg keeps it
+
+    const config = {
+      codec: demuxed.codec,
+      codedWidth: demuxed.codedWidth,
+      codedHeight: demuxed.codedHeight,
+      description: demuxed.description,
+      optimizeForLatency: true
+    };
+    const support = await VideoDecoder.isConfigSupported(config);
+    if (!support.supported) return null;
+
+    const source = new WebCodecsSource();
+    source.kind = 'video';
+    source.config = config;
+    source.samples = demuxed.samples;
+    source.rotation = demuxed.rotation ?? mediaInfo?.rotation ?? 0;
+    source.duration = demuxed.duration;
+
+    // Presentation order; each frame remembers its sample's position in decode order
+    const order = demuxed.samples.map((sample, sampleIndex) => ({ sampleIndex, timestamp: sample.timestamp }))
+      .sort((a, b) => a.timestamp - b.timestamp);
+    source.frames = order.map(({ timestamp }, index) => ({ index, timestamp }));
+    source.sampleIndexes = order.map(({ sampleIndex }) => sampleIndex);
+
+    // Some decoders accept a configuration and still fail on the data - find out now
+    const firstFrame = await source.decodeRange(0, source.frames.length > 1 ? source.frames[1].timestamp : source.duration);
+    if (firstFrame.length === 0) {
+      source.close();
+      return null;
+    }
+    firstFrame.forEach(frame => URL.revokeObjectURL(frame.url));
+    return source;
+  }
+
+  static async openImage(blob, type) {
+    if (!(await ImageDecoder.isTypeSupported(type))) return null;
+
+    const decoder = new ImageDecoder({ data: await blob.arrayBuffer(), type });
+    await decoder.tracks.ready;
+    await decoder.completed;
+    const track = decoder.tracks.selectedTrack;
+    if (!track?.animated || track.frameCount <= 1) {
+      decoder.close();
+      return null; // Still images are cheap with FFmpeg
+    }
+
+    // Frame timing is only known by decoding each frame
+    const frames = [];
+    let duration = 0;
+    for (let frameIndex = 0; frameIndex < track.frameCount; frameIndex++) {
+      const { image } = await decoder.decode({ frameIndex });
+      frames.push({ index: frameIndex, timestamp: Math.round(duration * 1e6) / 1e6 });
+      duration += (image.duration || 100000) / 1e6; // Microseconds; browsers treat missing delays as 100ms
+      image.close();
+    }
+
+    const source = new WebCodecsSource();
+    source.kind = 'image';
+    source.decoder = decoder;
+    source.rotation = 0;
+    source.frames = frames;
+    source.duration = duration;
+    return source;
+  }
+
+  constructor() {
+    this.queue = Promise.resolve(); // One decode at a time per source
+    this.canvas = new OffscreenCanvas(1, 1);
+    this.closed = false;
+  }
+
+  // Index of the first frame starting at or after `time` (frames.length if none)
+  findFirstFrameFrom(time) {
+    let low = 0;
+    let high = this.frames.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (this.frames[mid].timestamp < time) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    return low;
+  }
+
+  // Decode the frames starting in [start, start + length) into [{ time, url, size }], in the
+  // same shape as MediaProcessor.decodeFrameRange so it can back a FrameStream.
+  // shouldDecode() is checked once the decode's turn comes; a false answer resolves to null.
+  decodeRange(start, length, shouldDecode) {
+    const job = this.queue.then(() => {
+      if (this.closed || (shouldDecode && !shouldDecode())) return null;
+      const first = this.findFirstFrameFrom(start - 0.0001);
+      const last = this.findFirstFrameFrom(start + length - 0.0001) - 1;
+      if (last < first) return [];
+      return this.kind === 'image' ? this.decodeImageFrames(first, last) : this.decodeVideoFrames(first, last);
+    });
+    this.queue = job.catch(() => {});
+    return job;
+  }
+
+  async decodeImageFrames(first, last) {
+    const decoded = [];
+    for (let frameIndex = first; frameIndex <= last; frameIndex++) {
+      const { image } = await this.decoder.decode({ frameIndex });
+      try {
+        decoded.push({ time: this.frames[frameIndex].timestamp, ...(await encodeFrame(this.canvas, image, this.rotation)) });
+      } finally {
+        image.close();
+      }
+    }
+    return decoded;
+  }
+
+  // Feed samples from the keyframe before the first wanted frame up to the last sample any
+  // wanted frame depends on (B-frames are decoded after the frames they reference), and keep
+  // only the wanted outputs.
+  async decodeVideoFrames(first, last) {
+    const wanted = this.sampleIndexes.slice(first, last + 1);
+    let firstSample = Math.min(...wanted);
+    const lastSample = Math.max(...wanted);
+    while (firstSample > 0 && !this.samples[firstSample].isKey) firstSample--;
+
+    const startTime = this.frames[first].timestamp;
+    const endTime = this.frames[last].timestamp;
+    const conversions = [];
+    let decodeError = null;
+
+    const decoder = new VideoDecoder({
+      output: (frame) => {
+        const time = frame.timestamp / 1e6;
+        if (time >= startTime - 0.0001 && time <= endTime + 0.0001) {
+          conversions.push(encodeFrame(this.canvas, frame, this.rotation).then(encoded => ({ time, ...encoded })));
+        }
+        frame.close();
+      },
+      error: (error) => {
+        decodeError = error;
+      }
+    });
+
+    try {
+      decoder.configure(this.config);
+      for (let sampleIndex = firstSample; sampleIndex <= lastSample; sampleIndex++) {
+        const sample = this.samples[sampleIndex];
+        decoder.decode(new EncodedVideoChunk({
+          type: sample.isKey ? 'key' : 'delta',
+          timestamp: Math.round(sample.timestamp * 1e6),
+          duration: Math.round(sample.duration * 1e6),
+          data: sample.data
+        }));
+      }
+      await withTimeout(decoder.flush(), 'WebCodecs decode timeout');
+    } catch (error) {
+      decodeError = decodeError || error;
+    } finally {
+      if (decoder.state !== 'closed') decoder.close();
+    }
+
+    const decoded = await Promise.all(conversions);
+    if (decodeError) {
+      decoded.forEach(frame => URL.revokeObjectURL(frame.url));
+      throw decodeError;
+    }
+    return decoded.sort((a, b) => a.time - b.time);
+  }
+
+  close() {
+    if (this.closed) return;
+    this.closed = true;
+    this.decoder?.close();
+  }
+}
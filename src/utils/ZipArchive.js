@@ -0,0 +1,130 @@
+// Minimal ZIP writer for export bundles. Entries are stored uncompressed:
+// the payloads (PNG, WebM, JSON) are either already compressed or tiny.
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// MS-DOS date/time fields used by ZIP headers
+const toDosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+const MAX_ENTRIES = 0xffff; // No ZIP64 support
+const MAX_SIZE = 0xffffffff;
+
+export class ZipArchive {
+  constructor() {
+    this.entries = [];
+    this.offset = 0; // Byte offset of the next local file header
+    this.createdAt = toDosDateTime(new Date());
+  }
+
+  // Add a file; data can be a Blob, Uint8Array or string
+  async addFile(name, data) {
+    if (this.entries.length >= MAX_ENTRIES) {
+      throw new Error(`ZIP archive is limited to ${MAX_ENTRIES} files`);
+    }
+
+    let bytes;
+    if (data instanceof Blob) {
+      bytes = new Uint8Array(await data.arrayBuffer());
+    } else if (typeof data === 'string') {
+      bytes = new TextEncoder().encode(data);
+    } else {
+      bytes = data;
+    }
+
+    const nameBytes = new TextEncoder().encode(name);
+    if (this.offset + 30 + nameBytes.length + bytes.length > MAX_SIZE) {
+      throw new Error('ZIP archive would exceed 4 GB');
+    }
+
+    const entry = {
+      nameBytes,
+      crc: crc32(bytes),
+      size: bytes.length,
+      offset: this.offset,
+      // Keep payloads as Blobs so the browser can page them out of the JS heap
+      data: data instanceof Blob ? data : new Blob([bytes])
+    };
+
+    entry.header = this.createLocalHeader(entry);
+    this.entries.push(entry);
+    this.offset += entry.header.length + entry.size;
+  }
+
+  createLocalHeader(entry) {
+    const header = new Uint8Array(30 + entry.nameBytes.length);
+    const view = new DataView(header.buffer);
+    view.setUint32(0, 0x04034b50, true); // Local file header signature
+    view.setUint16(4, 20, true); // Version needed to extract (2.0)
+    view.setUint16(6, 0x0800, true); // UTF-8 file names
+    view.setUint16(8, 0, true); // Method: stored
+    view.setUint16(10, this.createdAt.time, true);
+    view.setUint16(12, this.createdAt.date, true);
+    view.setUint32(14, entry.crc, true);
+    view.setUint32(18, entry.size, true); // Compressed size
+    view.setUint32(22, entry.size, true); // Uncompressed size
+    view.setUint16(26, entry.nameBytes.length, true);
+    view.setUint16(28, 0, true); // Extra field length
+    header.set(entry.nameBytes, 30);
+    return header;
+  }
+
+  createCentralHeader(entry) {
+    const header = new Uint8Array(46 + entry.nameBytes.length);
+    const view = new DataView(header.buffer);
+    view.setUint32(0, 0x02014b50, true); // Central directory signature
+    view.setUint16(4, 20, true); // Version made by
+    view.setUint16(6, 20, true); // Version needed to extract
+    view.setUint16(8, 0x0800, true);
+    view.setUint16(10, 0, true);
+    view.setUint16(12, this.createdAt.time, true);
+    view.setUint16(14, this.createdAt.date, true);
+    view.setUint32(16, entry.crc, true);
+    view.setUint32(20, entry.size, true);
+    view.setUint32(24, entry.size, true);
+    view.setUint16(28, entry.nameBytes.length, true);
+    // Extra/comment length, disk number, attributes are all zero
+    view.setUint32(42, entry.offset, true);
+    header.set(entry.nameBytes, 46);
+    return header;
+  }
+
+  toBlob() {
+    const parts = [];
+    for (const entry of this.entries) {
+      parts.push(entry.header, entry.data);
+    }
+
+    const centralHeaders = this.entries.map(entry => this.createCentralHeader(entry));
+    const centralSize = centralHeaders.reduce((total, header) => total + header.length, 0);
+
+    const end = new Uint8Array(22);
+    const view = new DataView(end.buffer);
+    view.setUint32(0, 0x06054b50, true); // End of central directory signature
+    view.setUint16(8, this.entries.length, true); // Entries on this disk
+    view.setUint16(10, this.entries.length, true); // Total entries
+    view.setUint32(12, centralSize, true);
+    view.setUint32(16, this.offset, true); // Central directory offset
+
+    return new Blob([...parts, ...centralHeaders, end], { type: 'application/zip' });
+  }
+}